@@ -0,0 +1,166 @@
+/**
+ * Admin Namespace - Inspect and Moderate Live Quizzes
+ *
+ *   import { mountAdmin } from './quiz/admin.js';
+ *
+ *   mountAdmin(server.namespace('/admin'), {
+ *     quiz,                                  // what mountQuiz returned
+ *     adminKey: process.env.QUIZ_ADMIN_KEY,
+ *     auditLog: createFileAuditLog({ file: './data/admin-audit.jsonl' })
+ *   });
+ *
+ * Admin sockets log in first; every other event is refused until they do:
+ *
+ *   admin-login    { adminKey, adminName }          → { success, adminName }
+ *   list-rooms     {}                               → { success, rooms }
+ *   get-roster     { quizCode }                     → { success, quizCode, players }
+ *   kick-player    { quizCode, playerId, reason }   → { success, quizCode, playerId }
+ *   mute-player    { quizCode, playerId, muted, reason } → { success, quizCode, playerId, muted }
+ *   force-end      { quizCode, reason }             → { success, quizCode, state }
+ *   announce       { quizCode, message }            → { success, rooms }
+ *   get-results    { quizCode, format }             → { success, ...results }
+ *   get-audit-log  { quizCode, limit }              → { success, entries }
+ *
+ * `announce` without a quizCode goes to every room. Refusals (invalid
+ * payload, NOT_AUTHENTICATED) come back in the ack. Every event -
+ * including refused ones and failed logins - is written to the audit log
+ * (see quiz/audit-log.js); refused ones without their payload.
+ */
+
+import { createHash, timingSafeEqual } from 'crypto';
+import { ADMIN_SCHEMAS, validatePayload, pickFields } from './schemas.js';
+import { getRoster, countActivePlayers } from './roster.js';
+import { createMemoryAuditLog } from './audit-log.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Acknowledge the sender if the client asked for an ack
+ */
+function reply(ack, payload) {
+  if (typeof ack === 'function') ack(payload);
+}
+
+function keysMatch(given, expected) {
+  const digest = value => createHash('sha256').update(String(value)).digest();
+  return timingSafeEqual(digest(given), digest(expected));
+}
+
+function summarizeRoom(room) {
+  return {
+    quizCode: room.code,
+    state: room.state,
+    questionIndex: room.questionIndex,
+    questionCount: room.questionCount,
+    players: countActivePlayers(room),
+    connected: [...room.sessions.values()].filter(session => session.connected).length,
+    hostConnected: Boolean(room.hosts.host && room.hosts.host.socketId),
+    locked: room.lobby.locked,
+    maxPlayers: room.lobby.maxPlayers,
+    createdAt: room.createdAt,
+    updatedAt: room.updatedAt
+  };
+}
+
+/**
+ * Mount the admin events on a SmartSocket namespace.
+ * Returns { namespace, auditLog }.
+ */
+export function mountAdmin(namespace, options = {}) {
+  const {
+    quiz,
+    adminKey,
+    auditLog = createMemoryAuditLog(),
+    logger: log = createLogger({ name: namespace.name ? `admin:${namespace.name}` : 'admin' })
+  } = options;
+
+  if (!quiz) throw new Error('mountAdmin requires the mounted quiz');
+  if (!adminKey) throw new Error('mountAdmin requires an adminKey');
+
+  /**
+   * Audit one admin event. `fields` are the validated payload fields;
+   * refusals pass null so nothing a client sent unchecked is stored.
+   */
+  function audit(socket, action, fields, result) {
+    auditLog.append({
+      at: Date.now(),
+      admin: socket.data.adminName || null,
+      socketId: socket.id,
+      action,
+      quizCode: fields && typeof fields.quizCode === 'string' ? fields.quizCode : null,
+      target: fields && typeof fields.playerId === 'string' ? fields.playerId : null,
+      data: fields && fields.adminKey !== undefined ? { ...fields, adminKey: '[redacted]' } : fields,
+      result: { success: Boolean(result && result.success), code: result && result.code }
+    });
+  }
+
+  /**
+   * Register an admin event. The payload must be valid, and the socket
+   * logged in unless the event is `admin-login`; refusals come back in
+   * the ack (or as `__error__` without one). Otherwise
+   * `handler(socket, data)` returns the ack. Every call is audited.
+   */
+  function handle(event, handler) {
+    const schema = ADMIN_SCHEMAS[event];
+
+    namespace.on(event, (socket, data, ack) => {
+      let refusal = validatePayload(schema, data);
+      if (!refusal && event !== 'admin-login' && !socket.data.adminName) {
+        refusal = { success: false, code: 'NOT_AUTHENTICATED', error: 'Log in with admin-login first' };
+      }
+
+      if (refusal) {
+        log.warn(`Rejected ${event}: ${refusal.error}`, { socket: socket.id, event });
+        audit(socket, event, null, refusal);
+        if (typeof ack === 'function') ack(refusal);
+        else socket.emit('__error__', { event, ...refusal });
+        return;
+      }
+
+      const fields = pickFields(schema, data);
+      const result = handler(socket, fields);
+      audit(socket, event, fields, result);
+      reply(ack, result);
+    });
+  }
+
+  handle('admin-login', (socket, data) => {
+    if (!keysMatch(data.adminKey, adminKey)) {
+      log.warn('Admin login failed', { socket: socket.id });
+      return { success: false, code: 'INVALID_ADMIN_KEY', error: 'Wrong admin key' };
+    }
+
+    socket.data.adminName = data.adminName || `admin-${socket.id}`;
+    log.info(`Admin ${socket.data.adminName} logged in`, { socket: socket.id });
+    return { success: true, adminName: socket.data.adminName };
+  });
+
+  handle('list-rooms', () => ({ success: true, rooms: quiz.listRooms().map(summarizeRoom) }));
+
+  handle('get-roster', (socket, data) => {
+    const room = quiz.getRoom(data.quizCode);
+    if (!room) return { success: false, code: 'ROOM_NOT_FOUND', error: `Unknown quiz: ${data.quizCode}` };
+    return { success: true, quizCode: room.code, players: getRoster(room) };
+  });
+
+  handle('kick-player', (socket, data) => quiz.kickPlayer(data.quizCode, data.playerId, data.reason));
+
+  handle('mute-player', (socket, data) => quiz.mutePlayer(data.quizCode, data.playerId, data.muted !== false, data.reason));
+
+  handle('force-end', (socket, data) => quiz.forceEnd(data.quizCode, data.reason));
+
+  handle('announce', (socket, data) => quiz.announce(data.quizCode, data.message));
+
+  handle('get-results', (socket, data) => {
+    const results = quiz.getResults(data.quizCode, data.format || 'json');
+    return results
+      ? { success: true, ...results }
+      : { success: false, code: 'RESULTS_NOT_READY', error: 'No finished quiz with that code' };
+  });
+
+  handle('get-audit-log', (socket, data) => ({
+    success: true,
+    entries: auditLog.read({ quizCode: data.quizCode, limit: data.limit })
+  }));
+
+  return { namespace, auditLog };
+}
@@ -0,0 +1,136 @@
+/**
+ * Live Answer Statistics
+ *
+ * What the host and presenter screens show while a question is open:
+ * how many players answered, how the answers are spread over the
+ * options and how fast players are. Never includes who answered what,
+ * or whether it was right. Players only get the answered counter.
+ *
+ * Updates are throttled per room: a burst of answers produces one
+ * update now and at most one more per interval.
+ */
+
+import { countActivePlayers, isActivePlayer } from './roster.js';
+
+export const ANSWER_STATS_INTERVAL_MS = 1000;
+
+function getOptionCount(question) {
+  if (!question) return 0;
+  if (question.type === 'true-false') return 2;
+  if (question.type === 'single' || question.type === 'multi') {
+    return Array.isArray(question.options) ? question.options.length : 0;
+  }
+  return 0;
+}
+
+/**
+ * Answers per option for choice questions (true-false: [true, false]);
+ * null for question types without options
+ */
+function countChoices(question, answers) {
+  const optionCount = getOptionCount(question);
+  if (!optionCount) return null;
+
+  const counts = new Array(optionCount).fill(0);
+  answers.forEach(({ answer }) => {
+    if (question.type === 'true-false') counts[answer ? 0 : 1]++;
+    else if (question.type === 'multi') answer.forEach((index) => { counts[index]++; });
+    else counts[answer]++;
+  });
+  return counts;
+}
+
+function getMedian(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+/**
+ * Current question's answers from players still in the quiz. Answers of
+ * players who left stay in room.answers for results, but are not counted
+ * against the active players here.
+ */
+function getActiveAnswers(room) {
+  const answers = room.answers.get(room.questionIndex) || new Map();
+  return [...answers.entries()]
+    .filter(([playerId]) => isActivePlayer(room, playerId))
+    .map(([, record]) => record);
+}
+
+/**
+ * "N of M answered" for the current question - all that players see
+ */
+export function getAnswerCount(room) {
+  return {
+    quizCode: room.code,
+    questionIndex: room.questionIndex,
+    answered: getActiveAnswers(room).length,
+    players: countActivePlayers(room)
+  };
+}
+
+/**
+ * Full statistics for the current question, for hosts and presenters
+ */
+export function getAnswerStats(room) {
+  const question = room.questions ? room.questions[room.questionIndex] : null;
+  const answers = getActiveAnswers(room);
+  const count = getAnswerCount(room);
+
+  return {
+    ...count,
+    percentAnswered: count.players ? Math.round((count.answered / count.players) * 100) : 0,
+    medianResponseMs: getMedian(answers.map(record => record.responseMs)),
+    counts: countChoices(question, answers)
+  };
+}
+
+/**
+ * Per-room throttle for one mountQuiz, with that mount's timers
+ */
+export function createAnswerStatsThrottle() {
+  const lastSentAt = new Map();   // quizCode → epoch ms
+  const pendingTimers = new Map(); // quizCode → Timeout
+
+  return {
+    /**
+     * Call `send()` now, or once the interval since the last send has
+     * passed. Calls in between are folded into that one pending send, so
+     * `send` should read the room when it runs.
+     */
+    throttleAnswerStats(room, send, intervalMs = ANSWER_STATS_INTERVAL_MS) {
+      if (pendingTimers.has(room.code)) return;
+
+      const waitMs = (lastSentAt.get(room.code) || 0) + intervalMs - Date.now();
+      if (waitMs <= 0) {
+        lastSentAt.set(room.code, Date.now());
+        send();
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        pendingTimers.delete(room.code);
+        lastSentAt.set(room.code, Date.now());
+        send();
+      }, waitMs);
+
+      if (typeof timer.unref === 'function') timer.unref();
+      pendingTimers.set(room.code, timer);
+    },
+
+    /**
+     * Drop a pending send, e.g. because the question changed or the room
+     * is gone
+     */
+    cancelAnswerStats(room) {
+      const timer = pendingTimers.get(room.code);
+      if (timer) {
+        clearTimeout(timer);
+        pendingTimers.delete(room.code);
+      }
+      lastSentAt.delete(room.code);
+    }
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * Admin Audit Log
+ *
+ * Every admin action (see quiz/admin.js) is recorded, allowed or not:
+ *
+ *   { at, admin, socketId, action, quizCode, target, data, result }
+ *
+ *   at        epoch ms (server clock)
+ *   admin     name the admin logged in with, null before login
+ *   action    admin event name ('kick-player', 'announce', ...)
+ *   target    playerId the action was aimed at, if any
+ *   data      the payload with the admin key redacted
+ *   result    { success, code } of the ack
+ *
+ * Every log implements:
+ *
+ *   append(entry)              → record an entry
+ *   read({ quizCode, limit })  → newest `limit` entries, oldest first
+ *   flush()                    → Promise, resolves once entries are on disk
+ *
+ * Backends:
+ * - createMemoryAuditLog() - process memory only
+ * - createFileAuditLog({ file }) - one JSON line per entry, append only
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_AUDIT_LIMIT = 100;
+
+function filterEntries(entries, { quizCode, limit = DEFAULT_AUDIT_LIMIT } = {}) {
+  const matching = quizCode ? entries.filter(entry => entry.quizCode === quizCode) : entries;
+  return matching.slice(-limit);
+}
+
+// ============================================
+// IN-MEMORY LOG
+// ============================================
+
+/**
+ * Keeps the newest `maxEntries` entries
+ */
+export function createMemoryAuditLog({ maxEntries = 10000 } = {}) {
+  const entries = [];
+
+  return {
+    append(entry) {
+      entries.push(entry);
+      if (entries.length > maxEntries) entries.shift();
+    },
+    read: options => filterEntries(entries, options),
+    flush: () => Promise.resolve()
+  };
+}
+
+// ============================================
+// FILE LOG
+// ============================================
+
+function readFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+/**
+ * Entries are appended as they come, in order. The newest `maxEntries`
+ * (including those from earlier runs) are kept in memory for `read`.
+ */
+export function createFileAuditLog({ file, maxEntries = 10000, onError = console.error } = {}) {
+  if (!file) throw new Error('createFileAuditLog requires a file');
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const recent = createMemoryAuditLog({ maxEntries });
+  readFile(file).slice(-maxEntries).forEach(entry => recent.append(entry));
+  let writing = Promise.resolve();
+
+  return {
+    append(entry) {
+      recent.append(entry);
+      const line = JSON.stringify(entry) + '\n';
+      writing = writing.then(() => fs.promises.appendFile(file, line)).catch(onError);
+    },
+    read: recent.read,
+    flush: () => writing.then(() => undefined)
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * Signed Join Tokens (HS256 JWT)
+ *
+ * Your app's backend issues each user a token; the client sends it with
+ * its first quiz event (`token` in the payload, or `authenticate`):
+ *
+ *   import { signToken } from './quiz/auth.js';
+ *
+ *   const token = signToken({ sub: 'user-42', name: 'Dana', role: 'player' }, secret);
+ *
+ * Claims:
+ *   sub       user id - becomes the playerId / hostId
+ *   name      display name (optional)
+ *   role      'player' (default) | 'spectator' | 'presenter' | 'host'
+ *   quizCode  only valid for this room (optional)
+ *   exp, nbf  epoch seconds, checked with `clockToleranceSec` leeway
+ *
+ * mountQuiz verifies tokens before its handlers run and binds the
+ * identity to `socket.data.auth`; from then on handlers take ids from
+ * the socket, never from the payload (see quiz/index.js).
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { ROLES } from './roles.js';
+
+export const TOKEN_ROLES = Object.freeze([ROLES.PLAYER, ROLES.SPECTATOR, ROLES.PRESENTER, ROLES.HOST]);
+export const TOKEN_TTL_SECONDS = 4 * 60 * 60;
+export const MAX_TOKEN_LENGTH = 4096;
+
+/**
+ * Events that carry the sender's own identity, and the payload field the
+ * verified identity replaces
+ */
+export const IDENTITY_FIELDS = Object.freeze({
+  'join-quiz': { id: 'playerId', name: 'playerName' },
+  'create-quiz': { id: 'hostId' },
+  'host-joined': { id: 'hostId' }
+});
+
+/**
+ * join-quiz roles each token role may take
+ */
+const JOINABLE_ROLES = {
+  [ROLES.PLAYER]: [ROLES.PLAYER, ROLES.SPECTATOR],
+  [ROLES.SPECTATOR]: [ROLES.SPECTATOR],
+  [ROLES.PRESENTER]: [ROLES.PRESENTER, ROLES.SPECTATOR],
+  [ROLES.HOST]: [ROLES.PLAYER, ROLES.SPECTATOR, ROLES.PRESENTER]
+};
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function sign(input, secret) {
+  return createHmac('sha256', secret).update(input).digest();
+}
+
+function invalid(error) {
+  return { success: false, code: 'INVALID_TOKEN', error };
+}
+
+/**
+ * Issue a token. `expiresInSec: null` issues one that never expires.
+ */
+export function signToken(claims, secret, { expiresInSec = TOKEN_TTL_SECONDS } = {}) {
+  if (!secret) throw new Error('signToken requires a secret');
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = encode({ alg: 'HS256', typ: 'JWT' });
+  const payload = encode({ iat: now, ...(expiresInSec ? { exp: now + expiresInSec } : {}), ...claims });
+  return `${header}.${payload}.${sign(`${header}.${payload}`, secret).toString('base64url')}`;
+}
+
+/**
+ * Check a token's signature, lifetime and claims.
+ * Returns { success: true, identity: { userId, name, role, quizCode, expiresAt } }
+ * or an ack-ready error (INVALID_TOKEN, TOKEN_EXPIRED).
+ */
+export function verifyToken(token, secret, { clockToleranceSec = 30 } = {}) {
+  if (typeof token !== 'string' || token.length > MAX_TOKEN_LENGTH) return invalid('Token must be a string');
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return invalid('Token is not a JWT');
+  const [header, payload, signature] = parts;
+
+  let claims;
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') return invalid('Token must be signed with HS256');
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (err) {
+    return invalid('Token is not a JWT');
+  }
+
+  const expected = sign(`${header}.${payload}`, secret);
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return invalid('Bad token signature');
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === 'number' && now > claims.exp + clockToleranceSec) {
+    return { success: false, code: 'TOKEN_EXPIRED', error: 'Token has expired' };
+  }
+  if (typeof claims.nbf === 'number' && now < claims.nbf - clockToleranceSec) return invalid('Token is not valid yet');
+
+  const role = claims.role === undefined ? ROLES.PLAYER : claims.role;
+  if (typeof claims.sub !== 'string' || !claims.sub || claims.sub.length > 64) return invalid('Token needs a sub claim');
+  if (claims.name !== undefined && (typeof claims.name !== 'string' || claims.name.length > 40)) return invalid('Bad name claim');
+  if (!TOKEN_ROLES.includes(role)) return invalid(`Bad role claim: ${role}`);
+
+  return {
+    success: true,
+    identity: {
+      userId: claims.sub,
+      name: claims.name || null,
+      role,
+      quizCode: typeof claims.quizCode === 'string' ? claims.quizCode : null,
+      expiresAt: typeof claims.exp === 'number' ? claims.exp * 1000 : null
+    }
+  };
+}
+
+/**
+ * Whether a verified identity may send `event` with the requested
+ * join role. Returns null, or an ack-ready error.
+ */
+export function checkIdentity(identity, event, { quizCode, role } = {}) {
+  if (identity.quizCode && quizCode !== undefined && quizCode !== identity.quizCode) {
+    return { success: false, code: 'TOKEN_WRONG_QUIZ', error: `Token is not valid for quiz ${quizCode}` };
+  }
+  if ((event === 'create-quiz' || event === 'host-joined') && identity.role !== ROLES.HOST) {
+    return { success: false, code: 'TOKEN_ROLE_DENIED', error: 'Only host tokens can host a quiz' };
+  }
+  if (event === 'join-quiz' && !JOINABLE_ROLES[identity.role].includes(role)) {
+    return { success: false, code: 'TOKEN_ROLE_DENIED', error: `A ${identity.role} token cannot join as ${role}` };
+  }
+  return null;
+}
@@ -0,0 +1,242 @@
+/**
+ * Server Configuration
+ *
+ * One config object for the server, the quiz module and the startup
+ * banner. Later sources win:
+ *
+ *   1. defaults (DEFAULT_CONFIG below)
+ *   2. a JSON config file - QUIZ_CONFIG, or ./quiz.config.json if present
+ *   3. environment variables (ENV_VARS below)
+ *
+ *   {
+ *     "server": { "host": "0.0.0.0", "port": 8080, "secure": false, "monitoringPort": 9090 },
+ *     "quiz": { "namespace": "/quiz", "maxPlayers": 40, "lateJoin": "reject" },
+ *     "store": { "type": "file", "dir": "./data/quiz-rooms", "eventLogDir": "./data/quiz-events" },
+ *     "log": { "level": "info", "format": "json", "debug": "" },
+ *     "shutdown": { "timeoutMs": 10000, "retryAfterMs": 5000 },
+ *     "admin": { "key": "...", "namespace": "/admin", "auditLog": "./data/admin-audit.jsonl" },
+ *     "auth": { "secret": "...", "required": true }
+ *   }
+ *
+ * Every setting is validated with the same field specs as event
+ * payloads (see quiz/schemas.js). Unknown or invalid settings fail
+ * loadConfig with one error listing each problem and where the value
+ * came from (the file or variable name, never the value itself).
+ */
+
+import fs from 'fs';
+import { validatePayload } from './schemas.js';
+import { RESUME_GRACE_MS } from './sessions.js';
+import { ROOM_IDLE_MS } from './room-codes.js';
+import { LATE_JOIN, MAX_PLAYERS_LIMIT } from './lobby.js';
+import { NAME_COLLISION } from './names.js';
+import { ANSWER_STATS_INTERVAL_MS } from './answer-stats.js';
+import { LOG_LEVELS, LOG_FORMATS } from './logger.js';
+import { SHUTDOWN_TIMEOUT_MS, RESTART_RETRY_AFTER_MS } from './shutdown.js';
+import { PRESENCE_DEBOUNCE_MS, MAX_RATE_LIMIT_OFFENSES } from './rate-limits.js';
+import { MONITORING_PORT } from './monitoring.js';
+
+export const DEFAULT_CONFIG_FILE = './quiz.config.json';
+
+export const DEFAULT_CONFIG = Object.freeze({
+  server: { host: '0.0.0.0', port: 8080, secure: false, enableNamespaces: true, monitoring: true, monitoringPort: MONITORING_PORT },
+  quiz: {
+    namespace: '/quiz',
+    resumeGraceMs: RESUME_GRACE_MS,
+    roomIdleMs: ROOM_IDLE_MS,
+    maxPlayers: null,
+    lateJoin: LATE_JOIN.SPECTATE,
+    nameCollision: NAME_COLLISION.SUFFIX,
+    legacyEvents: true,
+    answerStatsIntervalMs: ANSWER_STATS_INTERVAL_MS,
+    rateLimits: true,
+    maxRateLimitOffenses: MAX_RATE_LIMIT_OFFENSES,
+    presenceDebounceMs: PRESENCE_DEBOUNCE_MS
+  },
+  store: { type: 'file', dir: './data/quiz-rooms', eventLogDir: './data/quiz-events' },
+  log: { level: 'info', format: 'text', debug: '' },
+  shutdown: { timeoutMs: SHUTDOWN_TIMEOUT_MS, retryAfterMs: RESTART_RETRY_AFTER_MS },
+  admin: { key: null, namespace: '/admin', auditLog: './data/admin-audit.jsonl' },
+  auth: { secret: null, required: false }
+});
+
+const CONFIG_SCHEMA = {
+  server: {
+    host: { type: 'string', required: true, maxLength: 255 },
+    port: { type: 'integer', required: true, min: 0, max: 65535 },
+    secure: { type: 'boolean', required: true },
+    enableNamespaces: { type: 'boolean', required: true },
+    monitoring: { type: 'boolean', required: true },
+    monitoringPort: { type: 'integer', required: true, min: 0, max: 65535 }
+  },
+  quiz: {
+    namespace: { type: 'string', required: true, maxLength: 64 },
+    resumeGraceMs: { type: 'integer', required: true, min: 0 },
+    roomIdleMs: { type: 'integer', required: true, min: 1000 },
+    maxPlayers: { type: 'integer', min: 1, max: MAX_PLAYERS_LIMIT },
+    lateJoin: { type: 'string', required: true, values: Object.values(LATE_JOIN) },
+    nameCollision: { type: 'string', required: true, values: Object.values(NAME_COLLISION) },
+    legacyEvents: { type: 'boolean', required: true },
+    answerStatsIntervalMs: { type: 'integer', required: true, min: 0 },
+    rateLimits: { type: 'boolean', required: true },
+    maxRateLimitOffenses: { type: 'integer', required: true, min: 1 },
+    presenceDebounceMs: { type: 'integer', required: true, min: 0 }
+  },
+  store: {
+    type: { type: 'string', required: true, values: ['file', 'memory'] },
+    dir: { type: 'string', required: true },
+    eventLogDir: { type: 'string', required: true }
+  },
+  log: {
+    level: { type: 'string', required: true, values: Object.keys(LOG_LEVELS) },
+    format: { type: 'string', required: true, values: LOG_FORMATS },
+    debug: { type: 'string' }
+  },
+  shutdown: {
+    timeoutMs: { type: 'integer', required: true, min: 0 },
+    retryAfterMs: { type: 'integer', required: true, min: 0 }
+  },
+  admin: {
+    key: { type: 'string', maxLength: 256 }, // no key: no admin namespace
+    namespace: { type: 'string', required: true, maxLength: 64 },
+    auditLog: { type: 'string' } // no file: audit log in memory only, whatever store.type says
+  },
+  auth: {
+    secret: { type: 'string', maxLength: 512 }, // no secret: no sign-in tokens
+    required: { type: 'boolean', required: true }
+  }
+};
+
+/**
+ * Environment variable → setting
+ */
+export const ENV_VARS = Object.freeze({
+  HOST: 'server.host',
+  PORT: 'server.port',
+  QUIZ_SECURE: 'server.secure',
+  QUIZ_MONITORING: 'server.monitoring',
+  QUIZ_MONITORING_PORT: 'server.monitoringPort',
+  QUIZ_NAMESPACE: 'quiz.namespace',
+  QUIZ_RESUME_GRACE_MS: 'quiz.resumeGraceMs',
+  QUIZ_ROOM_IDLE_MS: 'quiz.roomIdleMs',
+  QUIZ_MAX_PLAYERS: 'quiz.maxPlayers',
+  QUIZ_LATE_JOIN: 'quiz.lateJoin',
+  QUIZ_NAME_COLLISION: 'quiz.nameCollision',
+  QUIZ_LEGACY_EVENTS: 'quiz.legacyEvents',
+  QUIZ_RATE_LIMITS: 'quiz.rateLimits',
+  QUIZ_MAX_RATE_LIMIT_OFFENSES: 'quiz.maxRateLimitOffenses',
+  QUIZ_PRESENCE_DEBOUNCE_MS: 'quiz.presenceDebounceMs',
+  QUIZ_STORE: 'store.type',
+  QUIZ_STORE_DIR: 'store.dir',
+  QUIZ_EVENT_LOG_DIR: 'store.eventLogDir',
+  LOG_LEVEL: 'log.level',
+  LOG_FORMAT: 'log.format',
+  DEBUG: 'log.debug',
+  QUIZ_SHUTDOWN_TIMEOUT_MS: 'shutdown.timeoutMs',
+  QUIZ_RETRY_AFTER_MS: 'shutdown.retryAfterMs',
+  QUIZ_ADMIN_KEY: 'admin.key',
+  QUIZ_ADMIN_NAMESPACE: 'admin.namespace',
+  QUIZ_AUDIT_LOG: 'admin.auditLog',
+  QUIZ_AUTH_SECRET: 'auth.secret',
+  QUIZ_AUTH_REQUIRED: 'auth.required'
+});
+
+/**
+ * Environment strings as the setting's type. Values that do not parse
+ * are passed through so validation can name them.
+ */
+function parseEnvValue(raw, spec) {
+  const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+  const value = raw.trim();
+
+  if (!spec.required && (value === '' || value === 'none' || value === 'null')) return null;
+
+  if (types.includes('integer') || types.includes('number')) {
+    return value !== '' && Number.isFinite(Number(value)) ? Number(value) : raw;
+  }
+  if (types.includes('boolean')) {
+    if (['true', '1', 'yes', 'on'].includes(value.toLowerCase())) return true;
+    if (['false', '0', 'no', 'off'].includes(value.toLowerCase())) return false;
+    return raw;
+  }
+  return raw;
+}
+
+function readConfigFile(file, required) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT' && !required) return {};
+    throw new Error(`Cannot read config file ${file}: ${err.message}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Config file ${file} is not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Load and validate the configuration.
+ * Returns the merged config; throws one Error listing every problem.
+ */
+export function loadConfig({ env = process.env, file = env.QUIZ_CONFIG } = {}) {
+  const configFile = file || DEFAULT_CONFIG_FILE;
+  const fromFile = readConfigFile(configFile, Boolean(file));
+  const problems = [];
+  const sources = {}; // 'section.key' → where the value came from
+
+  const config = {};
+  for (const section of Object.keys(DEFAULT_CONFIG)) {
+    config[section] = { ...DEFAULT_CONFIG[section] };
+  }
+
+  // Config file
+  if (!fromFile || typeof fromFile !== 'object' || Array.isArray(fromFile)) {
+    problems.push(`${configFile}: must contain a JSON object`);
+  } else {
+    for (const [section, values] of Object.entries(fromFile)) {
+      if (!CONFIG_SCHEMA[section]) {
+        problems.push(`${section}: unknown section in ${configFile} (expected ${Object.keys(CONFIG_SCHEMA).join(', ')})`);
+        continue;
+      }
+      for (const [key, value] of Object.entries(values || {})) {
+        if (!CONFIG_SCHEMA[section][key]) {
+          problems.push(`${section}.${key}: unknown setting in ${configFile}`);
+          continue;
+        }
+        config[section][key] = value;
+        sources[`${section}.${key}`] = configFile;
+      }
+    }
+  }
+
+  // Environment
+  for (const [name, setting] of Object.entries(ENV_VARS)) {
+    if (env[name] === undefined) continue;
+    const [section, key] = setting.split('.');
+    config[section][key] = parseEnvValue(env[name], CONFIG_SCHEMA[section][key]);
+    sources[setting] = name; // never the value: QUIZ_ADMIN_KEY and QUIZ_AUTH_SECRET are secrets
+  }
+
+  // Validation
+  for (const [section, schema] of Object.entries(CONFIG_SCHEMA)) {
+    const result = validatePayload(schema, config[section]);
+    if (!result) continue;
+    result.fields.forEach(({ field, message }) => {
+      const source = sources[`${section}.${field}`];
+      problems.push(`${section}.${field} ${message}${source ? ` (from ${source})` : ''}`);
+    });
+  }
+
+  if (config.auth.required === true && !config.auth.secret) {
+    problems.push(`auth.required needs auth.secret${sources['auth.required'] ? ` (from ${sources['auth.required']})` : ''}`);
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid configuration:\n  ${problems.join('\n  ')}`);
+  }
+  return config;
+}
@@ -0,0 +1,93 @@
+/**
+ * Quiz Event Dialects
+ *
+ * The quiz servers in this repository grew two sets of event names:
+ *
+ *   server.js dialect            example-server dialect
+ *   (CORRECTED_QUIZ_SERVER.js, QUIZ_SERVER_EXAMPLE.js)
+ *   ─────────────────            ──────────────────────
+ *   join-quiz                    player-joined
+ *   quiz-started                 start-quiz
+ *   player-answered              submit-answer
+ *   end-quiz                     quiz-finished
+ *
+ * The quiz module speaks the server.js dialect. Inbound aliases map the
+ * other names onto it; outbound aliases re-emit broadcasts under the
+ * names the example-server clients listen for, in the shape they expect.
+ */
+
+/**
+ * Inbound: alias event → canonical event
+ */
+export const EVENT_ALIASES = Object.freeze({
+  'player-joined': 'join-quiz',
+  'start-quiz': 'quiz-started',
+  'submit-answer': 'player-answered',
+  'quiz-finished': 'end-quiz'
+});
+
+/**
+ * Example-server clients send one question per `start-quiz`
+ * ({ text, options, correctAnswer }) instead of a question set.
+ */
+export const ALIAS_NORMALIZERS = Object.freeze({
+  'start-quiz'(data) {
+    if (data.questions || data.text === undefined) return data;
+
+    const { text, options, correctAnswer, ...rest } = data;
+
+    // The example servers compared answers by option text
+    const key = Array.isArray(options) && options.includes(correctAnswer)
+      ? options.indexOf(correctAnswer)
+      : correctAnswer;
+    return { ...rest, questions: [{ text, options, correctAnswer: key }] };
+  }
+});
+
+function toLegacyQuestion(payload) {
+  const question = payload.question || {};
+  return {
+    ...question,
+    quizCode: payload.quizCode,
+    questionId: payload.questionIndex + 1,
+    questionIndex: payload.questionIndex
+  };
+}
+
+function toLegacyLeaderboard(payload) {
+  return { quizCode: payload.quizCode, leaderboard: payload.leaderboard };
+}
+
+/**
+ * Outbound: canonical broadcast → [{ event, map(payload) }]
+ */
+export const OUTBOUND_ALIASES = Object.freeze({
+  'quiz-started': [{ event: 'new-question', map: toLegacyQuestion }],
+  'next-question': [{ event: 'new-question', map: toLegacyQuestion }],
+  'skip-question': [{ event: 'new-question', map: toLegacyQuestion }],
+  'show-answer': [{ event: 'leaderboard-updated', map: toLegacyLeaderboard }],
+  'show-results': [{ event: 'leaderboard-updated', map: toLegacyLeaderboard }],
+  'end-quiz': [{
+    event: 'game-over',
+    map: (payload) => {
+      const winner = payload.leaderboard && payload.leaderboard[0];
+      return {
+        quizCode: payload.quizCode,
+        winner: winner ? { name: winner.playerName, score: winner.score } : null,
+        finalLeaderboard: (payload.leaderboard || []).map(entry => ({
+          rank: entry.rank,
+          name: entry.playerName,
+          score: entry.score
+        })),
+        message: 'Quiz finished!'
+      };
+    }
+  }]
+});
+
+/**
+ * Canonical name for an inbound event (itself when it is not an alias)
+ */
+export function resolveEvent(event, aliases = EVENT_ALIASES) {
+  return aliases[event] || event;
+}
@@ -0,0 +1,143 @@
+/**
+ * Quiz Event Log - Per-Room, Replayable
+ *
+ * Every accepted inbound event and every outbound broadcast of a room is
+ * appended to that room's log, in order:
+ *
+ *   { at, quizCode, direction: 'in', event, socketId, actor, data, ack }
+ *   { at, quizCode, direction: 'out', event, to, data }
+ *
+ *   at         epoch ms (server clock)
+ *   event      canonical event name (aliases already resolved), or
+ *              'disconnected' when a socket in the room drops
+ *   actor      playerId or hostId the socket was bound to, if any
+ *   data       the payload as the handler saw it
+ *   ack        what the sender was acked, if anything
+ *   to         room code, role list ('host,presenter') or socket id
+ *
+ * Resume tokens, presenter keys and host keys are redacted. quiz/replay.js rebuilds
+ * room state from a log.
+ *
+ * Every log implements:
+ *
+ *   append(entry)    → add an entry to entry.quizCode's log
+ *   read(code)       → array of the room's entries, oldest first
+ *   release(code)    → the room is gone (code may be reissued)
+ *   flush()          → Promise, resolves once pending writes are on disk
+ *
+ * Backends:
+ * - createMemoryEventLog() - process memory only, dropped on release
+ * - createFileEventLog({ dir }) - one `<code>.jsonl` file per room,
+ *   archived as `<code>-<timestamp>.jsonl` on release
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const REDACTED_FIELDS = Object.freeze(['resumeToken', 'presenterKey', 'hostKey']);
+export const REDACTED = '[redacted]';
+
+/**
+ * Shallow copy with secrets replaced by REDACTED
+ */
+export function redact(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return payload;
+
+  const copy = { ...payload };
+  for (const field of REDACTED_FIELDS) {
+    if (copy[field] !== undefined) copy[field] = REDACTED;
+  }
+  return copy;
+}
+
+// ============================================
+// IN-MEMORY LOG
+// ============================================
+
+/**
+ * Keeps at most `maxEntriesPerRoom` entries per room (oldest dropped)
+ */
+export function createMemoryEventLog({ maxEntriesPerRoom = 10000 } = {}) {
+  const logs = new Map(); // quizCode → entries
+
+  return {
+    append(entry) {
+      if (!logs.has(entry.quizCode)) logs.set(entry.quizCode, []);
+      const entries = logs.get(entry.quizCode);
+      entries.push(entry);
+      if (entries.length > maxEntriesPerRoom) entries.shift();
+    },
+    read: code => [...(logs.get(code) || [])],
+    release(code) {
+      logs.delete(code);
+    },
+    flush: () => Promise.resolve()
+  };
+}
+
+// ============================================
+// FILE LOG
+// ============================================
+
+/**
+ * One JSON line per entry. Appends are batched and written after
+ * `flushDelayMs`; `read` includes entries not written yet.
+ */
+export function createFileEventLog({ dir, flushDelayMs = 100, onError = console.error } = {}) {
+  if (!dir) throw new Error('createFileEventLog requires a dir');
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  const pending = new Map(); // quizCode → entries not on disk yet
+  let flushTimer = null;
+  let writing = Promise.resolve();
+
+  const fileFor = code => path.join(dir, `${encodeURIComponent(code)}.jsonl`);
+
+  function readFile(code) {
+    let text;
+    try {
+      text = fs.readFileSync(fileFor(code), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+
+    const batches = [...pending];
+    pending.clear();
+
+    writing = writing.then(() => Promise.all(batches.map(([code, entries]) => {
+      const lines = entries.map(entry => JSON.stringify(entry) + '\n').join('');
+      return fs.promises.appendFile(fileFor(code), lines).catch(onError);
+    })));
+    return writing.then(() => undefined);
+  }
+
+  return {
+    append(entry) {
+      if (!pending.has(entry.quizCode)) pending.set(entry.quizCode, []);
+      pending.get(entry.quizCode).push(entry);
+
+      if (!flushTimer) {
+        flushTimer = setTimeout(flush, flushDelayMs);
+        if (typeof flushTimer.unref === 'function') flushTimer.unref();
+      }
+    },
+    read: code => [...readFile(code), ...(pending.get(code) || [])],
+    release(code) {
+      // Queued behind the room's last writes, ahead of any for a reissued code
+      const archived = path.join(dir, `${encodeURIComponent(code)}-${Date.now()}.jsonl`);
+      flush();
+      writing = writing.then(() => fs.promises.rename(fileFor(code), archived)).catch((err) => {
+        if (err.code !== 'ENOENT') onError(err);
+      });
+    },
+    flush
+  };
+}
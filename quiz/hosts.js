@@ -0,0 +1,203 @@
+/**
+ * Quiz Host Roles
+ *
+ * The socket that sends `create-quiz` is recorded as the room's host.
+ * The host may name co-hosts by `hostId`; a co-host becomes active once a
+ * socket sends `host-joined` with that id. Only the host and active
+ * co-hosts may send control events.
+ *
+ * Every hostId gets a host key (the host's with `create-quiz`, a
+ * co-host's with `add-co-host`). `host-joined` needs the key, or a
+ * verified host token for the hostId (see quiz/auth.js): hostIds are
+ * not secret, so the id alone never claims a seat.
+ *
+ * Handoff:
+ * - Host reconnects with the same hostId and key → the new socket takes
+ *   over; the old one is released
+ * - Host drops → the first connected co-host is promoted; the old host
+ *   becomes a co-host so it can rejoin
+ * - Host drops with no co-host online → the slot stays reserved for the
+ *   same hostId until it reconnects
+ */
+
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+
+export function createHostState() {
+  return {
+    host: null,          // { hostId, socketId }
+    coHosts: new Map(),  // hostId → socketId (null while offline)
+    keys: new Map()      // hostId → host key
+  };
+}
+
+function issueHostKey(room, hostId) {
+  const hostKey = randomBytes(18).toString('base64url');
+  room.hosts.keys.set(hostId, hostKey);
+  return hostKey;
+}
+
+function keysMatch(given, expected) {
+  if (typeof given !== 'string' || typeof expected !== 'string') return false;
+  const digest = value => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(given), digest(expected));
+}
+
+/**
+ * Record `socket` as host or co-host of the room. The first host gets a
+ * new host key (`hostKey` in the result); after that the hostId's key
+ * is needed, unless `verified` (a host token for the hostId).
+ * Returns { success: true, role, changed, replaced, hostKey } or an
+ * error result. `replaced` is the socket this one took the seat from.
+ */
+export function claimHost(room, socketId, hostId, { hostKey, verified = false } = {}) {
+  const hosts = room.hosts;
+
+  if (!hosts.host) {
+    hosts.host = { hostId, socketId };
+    return { success: true, role: 'host', changed: true, replaced: null, hostKey: issueHostKey(room, hostId) };
+  }
+
+  const isHost = hosts.host.hostId === hostId;
+  if (!isHost && !hosts.coHosts.has(hostId)) {
+    return {
+      success: false,
+      code: 'HOST_TAKEN',
+      error: `Quiz ${room.code} already has a host`
+    };
+  }
+
+  if (!verified && !keysMatch(hostKey, hosts.keys.get(hostId))) {
+    return { success: false, code: 'INVALID_HOST_KEY', error: `host-joined needs the host key for ${hostId}` };
+  }
+
+  const previous = isHost ? hosts.host.socketId : hosts.coHosts.get(hostId);
+  if (isHost) hosts.host.socketId = socketId;
+  else hosts.coHosts.set(hostId, socketId);
+
+  return {
+    success: true,
+    role: isHost ? 'host' : 'co-host',
+    changed: previous !== socketId,
+    replaced: previous && previous !== socketId ? previous : null
+  };
+}
+
+/**
+ * Check whether a socket may send control events for the room
+ */
+export function isHostSocket(room, socketId) {
+  const hosts = room.hosts;
+  if (hosts.host && hosts.host.socketId === socketId) return true;
+
+  for (const coHostSocketId of hosts.coHosts.values()) {
+    if (coHostSocketId === socketId) return true;
+  }
+  return false;
+}
+
+/**
+ * Sockets of the host and every connected co-host
+ */
+export function getHostSocketIds(room) {
+  const hosts = room.hosts;
+  const socketIds = [...hosts.coHosts.values()].filter(Boolean);
+  if (hosts.host && hosts.host.socketId) socketIds.unshift(hosts.host.socketId);
+  return socketIds;
+}
+
+/**
+ * Only the primary host may manage co-hosts or hand the room over
+ */
+export function isPrimaryHostSocket(room, socketId) {
+  return Boolean(room.hosts.host && room.hosts.host.socketId === socketId);
+}
+
+export function addCoHost(room, hostId) {
+  const hosts = room.hosts;
+
+  if (hosts.host && hosts.host.hostId === hostId) {
+    return { success: false, code: 'ALREADY_HOST', error: `${hostId} is already the host` };
+  }
+
+  if (!hosts.coHosts.has(hostId)) {
+    hosts.coHosts.set(hostId, null);
+  }
+  // Pass the key on to the co-host; adding them again issues a new one
+  return { success: true, hostId, hostKey: issueHostKey(room, hostId) };
+}
+
+export function removeCoHost(room, hostId) {
+  if (!room.hosts.coHosts.delete(hostId)) {
+    return { success: false, code: 'NOT_CO_HOST', error: `${hostId} is not a co-host` };
+  }
+  room.hosts.keys.delete(hostId);
+  return { success: true };
+}
+
+/**
+ * Make co-host `hostId` the primary host; the previous host becomes a co-host.
+ */
+export function transferHost(room, hostId) {
+  const hosts = room.hosts;
+
+  if (!hosts.coHosts.has(hostId)) {
+    return { success: false, code: 'NOT_CO_HOST', error: `${hostId} is not a co-host` };
+  }
+
+  const previous = hosts.host;
+  const socketId = hosts.coHosts.get(hostId);
+  hosts.coHosts.delete(hostId);
+  hosts.host = { hostId, socketId };
+
+  if (previous) {
+    hosts.coHosts.set(previous.hostId, previous.socketId);
+  }
+  return { success: true };
+}
+
+/**
+ * Forget a disconnected socket.
+ * Returns { changed, promoted } where `promoted` is the hostId of a
+ * co-host that took over, if any.
+ */
+export function releaseHostSocket(room, socketId) {
+  const hosts = room.hosts;
+
+  for (const [hostId, coHostSocketId] of hosts.coHosts) {
+    if (coHostSocketId === socketId) {
+      hosts.coHosts.set(hostId, null);
+      return { changed: true, promoted: null };
+    }
+  }
+
+  if (!hosts.host || hosts.host.socketId !== socketId) {
+    return { changed: false, promoted: null };
+  }
+
+  hosts.host.socketId = null;
+
+  for (const [hostId, coHostSocketId] of hosts.coHosts) {
+    if (coHostSocketId) {
+      transferHost(room, hostId);
+      return { changed: true, promoted: hostId };
+    }
+  }
+  return { changed: true, promoted: null };
+}
+
+/**
+ * Who hosts the room. `ids: false` leaves the hostIds out, for
+ * everyone who is not a host.
+ */
+export function getHostPayload(room, { ids = true } = {}) {
+  const hosts = room.hosts;
+  return {
+    quizCode: room.code,
+    ...(ids ? { hostId: hosts.host ? hosts.host.hostId : null } : {}),
+    hostConnected: Boolean(hosts.host && hosts.host.socketId),
+    coHosts: [...hosts.coHosts].map(([hostId, socketId]) => ({
+      ...(ids ? { hostId } : {}),
+      connected: Boolean(socketId)
+    }))
+  };
+}
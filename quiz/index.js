@@ -0,0 +1,2117 @@
+/**
+ * Quiz Module - Mountable Quiz Flow
+ *
+ * The complete quiz flow (rooms, hosts, questions, timers, scoring,
+ * resume) as one module that can be mounted on any SmartSocket
+ * namespace:
+ *
+ *   import { mountQuiz } from './quiz/index.js';
+ *
+ *   const quiz = mountQuiz(server.namespace('/quiz'), {
+ *     store: createFileRoomStore({ dir: './data/quiz-rooms' })
+ *   });
+ *
+ * Options:
+ *   store          room store (see quiz/room-store.js), default: in memory
+ *   resumeGraceMs  how long a dropped player may resume, default: 60s
+ *   aliases        inbound event aliases (see quiz/dialects.js)
+ *   legacyEvents   also emit the example-server broadcasts
+ *                  (new-question, leaderboard-updated, game-over), default: true
+ *   nameCollision  'suffix' (default) or 'reject' - see quiz/names.js
+ *   roomIdleMs     how long an empty room is kept before its code is
+ *                  recycled, default: 5 minutes
+ *   maxPlayers     default player cap per room, default: none
+ *   lateJoin       'spectate' (default) or 'reject' - see quiz/lobby.js
+ *   blockedWords   words not allowed in display names
+ *   answerStatsIntervalMs  least time between live `answer-stats` /
+ *                  `answer-count` updates per room, default: 1s
+ *   eventLog       per-room event log (see quiz/event-log.js),
+ *                  default: in memory
+ *   generateCode   room code generator, default: random - see
+ *                  quiz/room-codes.js (replays pass the logged codes)
+ *   logger         see quiz/logger.js, default: named after the
+ *                  namespace ('quiz:/quiz'), configured from LOG_* / DEBUG
+ *   metrics        registry for the quiz metrics (see quiz/metrics.js),
+ *                  default: a new one, returned as `metrics`
+ *   auth           { secret, required } - verify signed join tokens
+ *                  (see quiz/auth.js); `required: true` refuses joining
+ *                  and hosting without one. Default: no tokens
+ *   rateLimits     per-event { window, maxRequests } (see
+ *                  quiz/rate-limits.js), default: QUIZ_RATE_LIMITS;
+ *                  false turns per-socket limits off
+ *   maxRateLimitOffenses  throttled events within a minute before the
+ *                  socket is disconnected, default: 5
+ *   presenceDebounceMs  least time between relayed `player-present`
+ *                  pings per socket, default: 5s
+ *
+ * Clients may speak either event dialect; handlers always see the
+ * canonical event name and a data object with `quizCode` filled in from
+ * the socket when the client left it out. Payloads are validated against
+ * quiz/schemas.js before they reach a handler; refusals come back in
+ * the ack.
+ */
+
+import { QUIZ_STATES, transition } from './state-machine.js';
+import {
+  createHostState,
+  claimHost,
+  isHostSocket,
+  isPrimaryHostSocket,
+  addCoHost,
+  removeCoHost,
+  transferHost,
+  releaseHostSocket,
+  getHostPayload,
+  getHostSocketIds
+} from './hosts.js';
+import {
+  createQuestionTimers,
+  isPastDeadline,
+  getRemainingMs,
+  MIN_DURATION_SECONDS,
+  MAX_DURATION_SECONDS
+} from './timers.js';
+import {
+  normalizeQuestions,
+  stripAnswerKeys,
+  toPlayerQuestion,
+  getAnswerKey,
+  checkAnswer,
+  getCredit
+} from './questions.js';
+import { resolveScoring, scoreAnswer } from './scoring.js';
+import { RESUME_GRACE_MS, createSessions, findSessionByToken, findSessionBySocket } from './sessions.js';
+import { createMemoryRoomStore } from './room-store.js';
+import { EVENT_ALIASES, ALIAS_NORMALIZERS, OUTBOUND_ALIASES, resolveEvent } from './dialects.js';
+import { EVENT_SCHEMAS, validatePayload, pickFields } from './schemas.js';
+import {
+  PLAYER_STATUS,
+  createRoster,
+  addPlayer,
+  renamePlayer,
+  setPlayerStatus,
+  setPlayerMuted,
+  isPlayerMuted,
+  removePlayer,
+  getRosterEntry,
+  getRoster,
+  countActivePlayers
+} from './roster.js';
+import { NAME_COLLISION, DEFAULT_BLOCKED_WORDS, resolvePlayerName } from './names.js';
+import { ROOM_IDLE_MS, generateRoomCode, createRoomExpiry } from './room-codes.js';
+import {
+  LATE_JOIN,
+  createLobbyState,
+  checkAdmission,
+  enqueue,
+  dequeueSocket,
+  getWaitlistPosition,
+  takeAdmittable,
+  getLobbyPayload
+} from './lobby.js';
+import { ROLES, JOIN_ROLES, STATS_ROLES, createPresenterKey, getRequestedRole, canAnswer } from './roles.js';
+import {
+  ANSWER_STATS_INTERVAL_MS,
+  getAnswerStats,
+  getAnswerCount,
+  createAnswerStatsThrottle
+} from './answer-stats.js';
+import { RESULT_FORMATS, buildResultsReport, formatResults } from './results.js';
+import { createMemoryEventLog, redact } from './event-log.js';
+import { createLogger } from './logger.js';
+import { SHUTDOWN_TIMEOUT_MS, RESTART_RETRY_AFTER_MS, getRestartingError, settleBefore } from './shutdown.js';
+import { createMetricsRegistry } from './metrics.js';
+import { IDENTITY_FIELDS, verifyToken, checkIdentity } from './auth.js';
+import {
+  QUIZ_RATE_LIMITS,
+  PRESENCE_DEBOUNCE_MS,
+  MAX_RATE_LIMIT_OFFENSES,
+  createRateLimiter
+} from './rate-limits.js';
+
+const FAN_OUT_BUCKETS = [0, 1, 2, 5, 10, 25, 50, 100, 250, 500];
+
+/**
+ * Acknowledge the sender if the client asked for an ack
+ */
+function reply(ack, payload) {
+  if (typeof ack === 'function') ack(payload);
+}
+
+function getStatePayload(room) {
+  return {
+    quizCode: room.code,
+    state: room.state,
+    questionIndex: room.questionIndex,
+    endsAt: room.questionDeadline,
+    timestamp: Date.now()
+  };
+}
+
+function getLeaderboard(room) {
+  return [...room.scores.values()]
+    .sort((a, b) => b.score - a.score)
+    .map((entry, index) => ({
+      rank: index + 1,
+      playerId: entry.playerId,
+      playerName: entry.playerName,
+      score: entry.score
+    }));
+}
+
+/**
+ * Mount the quiz flow on a SmartSocket namespace.
+ * Returns { namespace, store, eventLog, metrics, getRoom(code),
+ * listRooms(), getResults(code, format), shutdown(options) } plus the
+ * moderation calls used by quiz/admin.js (kickPlayer, mutePlayer,
+ * forceEnd, announce) and reportRateLimited(socket, retryAfterMs) for
+ * SmartSocket's own `rate-limit` event.
+ *
+ * getResults and the moderation calls skip the host checks of the
+ * socket events: only expose them behind your own authentication, the
+ * way quiz/admin.js does with its admin key.
+ */
+export function mountQuiz(namespace, options = {}) {
+  const {
+    store = createMemoryRoomStore(),
+    resumeGraceMs = RESUME_GRACE_MS,
+    aliases = EVENT_ALIASES,
+    legacyEvents = true,
+    roomIdleMs = ROOM_IDLE_MS,
+    maxPlayers = null,
+    lateJoin = LATE_JOIN.SPECTATE,
+    nameCollision = NAME_COLLISION.SUFFIX,
+    blockedWords = DEFAULT_BLOCKED_WORDS,
+    answerStatsIntervalMs = ANSWER_STATS_INTERVAL_MS,
+    eventLog = createMemoryEventLog(),
+    generateCode = generateRoomCode,
+    logger: log = createLogger({ name: namespace.name ? `quiz:${namespace.name}` : 'quiz' }),
+    metrics = createMetricsRegistry(),
+    auth = null,
+    rateLimits = QUIZ_RATE_LIMITS,
+    maxRateLimitOffenses = MAX_RATE_LIMIT_OFFENSES,
+    presenceDebounceMs = PRESENCE_DEBOUNCE_MS
+  } = options;
+
+  const nameRules = { collision: nameCollision, blockedWords };
+  const rateLimiter = rateLimits
+    ? createRateLimiter({ limits: rateLimits === true ? QUIZ_RATE_LIMITS : rateLimits, maxOffenses: maxRateLimitOffenses })
+    : null;
+
+  // Timers are keyed by room code, so every mount keeps its own
+  const { startQuestionTimer, clearQuestionTimer, restoreQuestionTimer } = createQuestionTimers();
+  const { openSession, suspendSession, resumeSession, closeSession, closeSessions } = createSessions();
+  const { scheduleRoomExpiry, cancelRoomExpiry } = createRoomExpiry();
+  const { throttleAnswerStats, cancelAnswerStats } = createAnswerStatsThrottle();
+
+  // ============================================
+  // METRICS
+  // ============================================
+  // Every series carries the namespace so several mounts can share one
+  // registry (see quiz/metrics.js, served by quiz/monitoring.js).
+
+  const metricLabels = { namespace: namespace.name || '/' };
+  const eventsTotal = metrics.counter('quiz_events_total', 'Quiz events received', ['namespace', 'event']);
+  const eventErrorsTotal = metrics.counter('quiz_event_errors_total', 'Quiz events refused or failed, by error code', ['namespace', 'event', 'code']);
+  const handlerSeconds = metrics.histogram('quiz_handler_duration_seconds', 'Quiz handler run time in seconds', ['namespace', 'event']);
+  const broadcastsTotal = metrics.counter('quiz_broadcasts_total', 'Quiz events sent to a room or role', ['namespace', 'event']);
+  const broadcastRecipients = metrics.histogram('quiz_broadcast_recipients', 'Sockets reached per broadcast', ['namespace', 'event'], FAN_OUT_BUCKETS);
+
+  metrics.gauge('quiz_rooms', 'Quiz rooms by state', ['namespace', 'state'], () => (
+    Object.values(QUIZ_STATES).map(state => ({
+      labels: { ...metricLabels, state },
+      value: store.list().filter(room => room.state === state).length
+    }))
+  ));
+  metrics.gauge('quiz_room_players', 'Players in each quiz room (spectators and leavers excluded)', ['namespace', 'room'], () => (
+    store.list().map(room => ({ labels: { ...metricLabels, room: room.code }, value: countActivePlayers(room) }))
+  ));
+
+  function countError(event, code) {
+    eventErrorsTotal.inc({ ...metricLabels, event, code: code || 'UNKNOWN' });
+  }
+
+  function countBroadcast(event, recipients) {
+    broadcastsTotal.inc({ ...metricLabels, event });
+    broadcastRecipients.observe({ ...metricLabels, event }, recipients);
+  }
+
+  /**
+   * Sockets in a room: hosts plus every connected player, spectator and
+   * presenter
+   */
+  function countRoomSockets(quizCode) {
+    const room = store.get(quizCode);
+    if (!room) return 0;
+    const socketIds = new Set(getHostSocketIds(room));
+    room.sessions.forEach((session) => {
+      if (session.connected) socketIds.add(session.socketId);
+    });
+    return socketIds.size;
+  }
+
+  // ============================================
+  // SOCKETS & EVENT DIALECTS
+  // ============================================
+
+  const sockets = new Map(); // socketId → socket, for private sends
+  let draining = null; // { reason, retryAfterMs } once shutdown() ran
+
+  namespace.on('connected', (socket) => {
+    sockets.set(socket.id, socket);
+  });
+
+  /**
+   * Tell a throttled socket when to retry and count the offense.
+   * Repeat offenders are disconnected. With `offense: false` the socket
+   * is only told (debounced pings are not abuse).
+   */
+  function reportRateLimited(socket, event, retryAfterMs, { offense = true } = {}) {
+    let offenses = 0;
+    if (offense) offenses = rateLimiter ? rateLimiter.recordOffense(socket.id) : 1;
+    const disconnected = Boolean(rateLimiter) && offense && offenses >= rateLimiter.maxOffenses;
+
+    log[offense ? 'warn' : 'debug'](`Rate limited ${event || 'event'}`, { socket: socket.id, player: socket.data.playerId, event, offenses });
+    countError(event || 'unknown', 'RATE_LIMITED');
+    socket.emit('__rate-limited__', {
+      event,
+      message: 'Too many requests, please slow down',
+      retryAfter: retryAfterMs,
+      offenses,
+      disconnected
+    });
+
+    if (disconnected) {
+      log.warn(`Disconnecting after ${offenses} rate limit offenses`, { socket: socket.id, player: socket.data.playerId });
+      socket.disconnect();
+    }
+  }
+
+  /**
+   * Append to the room's event log (see quiz/event-log.js). Events for
+   * codes that are not a room are not logged.
+   */
+  function logEvent(quizCode, entry) {
+    if (!quizCode || !store.has(quizCode)) return null;
+    const logged = { at: Date.now(), quizCode, ...entry, data: redact(entry.data) };
+    eventLog.append(logged);
+    return logged;
+  }
+
+  function deliver(socketId, event, payload) {
+    const socket = sockets.get(socketId);
+    if (socket) socket.emit(event, payload);
+  }
+
+  function sendTo(socketId, event, payload) {
+    deliver(socketId, event, payload);
+    logEvent(payload.quizCode, { direction: 'out', event, to: socketId, data: payload });
+  }
+
+  /**
+   * Emit to everyone in a quiz room, plus the example-server equivalent
+   * of the event when legacy events are enabled
+   */
+  function broadcast(quizCode, event, payload) {
+    namespace.to(quizCode).emit(event, payload);
+    logEvent(quizCode, { direction: 'out', event, to: quizCode, data: payload });
+    countBroadcast(event, countRoomSockets(quizCode));
+    if (!legacyEvents) return;
+
+    (OUTBOUND_ALIASES[event] || []).forEach((alias) => {
+      namespace.to(quizCode).emit(alias.event, alias.map(payload));
+    });
+  }
+
+  /**
+   * Emit to the connected members of a room with one of the given roles
+   * (see quiz/roles.js). 'host' includes co-hosts.
+   */
+  function sendToRoles(room, roles, event, payload) {
+    const socketIds = new Set(roles.includes(ROLES.HOST) ? getHostSocketIds(room) : []);
+
+    room.roster.forEach((entry) => {
+      if (!roles.includes(entry.role)) return;
+      const session = room.sessions.get(entry.playerId);
+      if (session && session.connected) socketIds.add(session.socketId);
+    });
+
+    socketIds.forEach(socketId => deliver(socketId, event, payload));
+    logEvent(room.code, { direction: 'out', event, to: roles.join(','), data: payload });
+    countBroadcast(event, socketIds.size);
+  }
+
+  /**
+   * The payload as the canonical handler sees it: alias shapes
+   * normalized and `quizCode` taken from the socket when left out
+   */
+  function toCanonicalPayload(socket, name, data) {
+    let payload = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+    if (ALIAS_NORMALIZERS[name] && resolveEvent(name, aliases) !== name) {
+      payload = ALIAS_NORMALIZERS[name](payload);
+    }
+    if (payload.quizCode === undefined && socket.data.quizCode) {
+      payload = { ...payload, quizCode: socket.data.quizCode };
+    }
+
+    // A verified token decides who the sender is, whatever the payload says
+    const identityFields = IDENTITY_FIELDS[resolveEvent(name, aliases)];
+    const identity = socket.data.auth;
+    if (identityFields && identity) {
+      payload = { ...payload, [identityFields.id]: identity.userId };
+      if (identityFields.name && identity.name) payload[identityFields.name] = identity.name;
+    }
+    return payload;
+  }
+
+  /**
+   * Refuse an event before its handler runs. The sender gets the error
+   * in its ack, or as `__error__` when it did not ask for one.
+   */
+  function refuse(socket, name, result, ack) {
+    log.warn(`Rejected ${name}: ${result.error}`, { socket: socket.id, event: name });
+    countError(resolveEvent(name, aliases), result.code);
+    if (typeof ack === 'function') ack(result);
+    else socket.emit('__error__', { event: name, ...result });
+  }
+
+  /**
+   * Per-socket token buckets (see quiz/rate-limits.js), checked before
+   * anything else. Returns an ack-ready error when `event` is over its
+   * limit; the sender also gets `__rate-limited__`.
+   */
+  function takeRateLimit(socket, event) {
+    if (!rateLimiter) return null;
+    const result = rateLimiter.take(socket.id, event);
+    if (result.allowed) return null;
+
+    reportRateLimited(socket, event, result.retryAfterMs);
+    return {
+      success: false,
+      code: 'RATE_LIMITED',
+      error: `Too many ${event} events, please slow down`,
+      retryAfter: result.retryAfterMs
+    };
+  }
+
+  /**
+   * Signed join tokens (see quiz/auth.js). A `token` in any payload is
+   * verified and its identity bound to `socket.data.auth`; joining,
+   * hosting and resuming are then checked against it. Runs before
+   * payload validation so the identity fills in playerId / hostId.
+   * Returns an ack-ready error, or null.
+   */
+  function checkAuth(socket, event, name, data) {
+    if (!auth) return null;
+
+    const token = data && typeof data === 'object' ? data.token : undefined;
+    let identity = socket.data.auth;
+
+    if (token !== undefined) {
+      const result = verifyToken(token, auth.secret);
+      if (!result.success) return result;
+
+      if (identity && identity.userId !== result.identity.userId) {
+        return { success: false, code: 'TOKEN_MISMATCH', error: 'This connection is already signed in as another user' };
+      }
+      identity = result.identity;
+    }
+
+    if (IDENTITY_FIELDS[event] || event === 'resume-quiz') {
+      if (!identity && auth.required) {
+        return { success: false, code: 'AUTH_REQUIRED', error: `${event} needs a signed token` };
+      }
+
+      const payload = toCanonicalPayload(socket, name, data);
+      const denied = identity && checkIdentity(identity, event, { quizCode: payload.quizCode, role: getRequestedRole(payload) });
+      if (denied) return denied;
+    }
+
+    // Bound only once the token was accepted for this event
+    socket.data.auth = identity;
+    return null;
+  }
+
+  /**
+   * Register a handler for a canonical event and every alias of it.
+   * Before the handler runs the event is checked against the rate
+   * limits, the sender's token and the event's schema (see
+   * quiz/schemas.js); refusals go back through `refuse`. Handlers only
+   * receive the fields declared in the schema. Each call is logged
+   * under the canonical name, with its ack, and counted and timed in
+   * the metrics.
+   */
+  function handle(event, handler) {
+    const names = [event, ...Object.keys(aliases).filter(alias => aliases[alias] === event)];
+    const schema = EVENT_SCHEMAS[event];
+
+    names.forEach((name) => {
+      namespace.on(name, (socket, data, ack) => {
+        eventsTotal.inc({ ...metricLabels, event });
+
+        const limited = takeRateLimit(socket, event);
+        if (limited) {
+          reply(ack, limited);
+          return undefined;
+        }
+
+        // Rooms are being saved for the next process: nothing may change them
+        if (draining) {
+          countError(event, 'SERVER_RESTARTING');
+          reply(ack, getRestartingError(draining.retryAfterMs));
+          return undefined;
+        }
+
+        const denied = checkAuth(socket, event, name, data);
+        if (denied) {
+          refuse(socket, name, denied, ack);
+          return undefined;
+        }
+
+        const payload = toCanonicalPayload(socket, name, data);
+        const invalid = schema && validatePayload(schema, payload);
+        if (invalid) {
+          refuse(socket, name, invalid, ack);
+          return undefined;
+        }
+
+        const fields = schema ? pickFields(schema, payload) : payload;
+        const entry = {
+          direction: 'in',
+          event,
+          socketId: socket.id,
+          actor: socket.data.playerId || socket.data.hostId || null,
+          data: fields
+        };
+
+        // Logged before the handler so its broadcasts follow it in the log;
+        // create-quiz has no room until the handler ran
+        let logged = logEvent(fields.quizCode, entry);
+        let acked;
+        const startedAt = performance.now();
+        const observeDuration = () => handlerSeconds.observe({ ...metricLabels, event }, (performance.now() - startedAt) / 1000);
+
+        let result;
+        try {
+          result = handler(socket, fields, (response) => {
+            acked = response;
+            if (logged) logged.ack = redact(response);
+            if (response && response.success === false) countError(event, response.code);
+            reply(ack, response);
+          });
+        } catch (err) {
+          countError(event, 'EXCEPTION');
+          observeDuration();
+          throw err;
+        }
+
+        if (!logged && acked && acked.quizCode) {
+          logged = logEvent(acked.quizCode, { ...entry, ack: redact(acked) });
+        }
+
+        observeDuration();
+        return result;
+      });
+    });
+  }
+
+  // ============================================
+  // QUIZ ROOM STATE
+  // ============================================
+  // The server owns each room's lifecycle (see quiz/state-machine.js).
+  // Control events are validated against it before being broadcast.
+  //
+  // Rooms live in the room store (see quiz/room-store.js) so live
+  // quizzes can survive a restart.
+
+  function createRoom(quizCode, roomMaxPlayers = maxPlayers) {
+    store.save({
+      code: quizCode,
+      state: QUIZ_STATES.WAITING,
+      questionIndex: -1,
+      questionCount: null,
+      questions: null,     // host's copy, WITH answer keys - never broadcast
+      answers: new Map(),  // questionIndex → Map(playerId → answer record)
+      scores: new Map(),   // playerId → { playerId, playerName, score, streak }
+      scoring: null,       // { strategy, options } - see quiz/scoring.js
+      sessions: new Map(), // playerId → resume session - see quiz/sessions.js
+      roster: createRoster(), // playerId → roster entry - see quiz/roster.js
+      lobby: createLobbyState(roomMaxPlayers), // see quiz/lobby.js
+      presenterKey: createPresenterKey(), // only hosts get it - see quiz/roles.js
+      kicked: new Set(),   // playerIds removed by an admin - may not rejoin
+      questionStartedAt: null,
+      questionDeadline: null,
+      hosts: createHostState(),
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    });
+    return store.get(quizCode);
+  }
+
+  /**
+   * Look up a room players may still join.
+   * Acks the sender with an error and returns null otherwise.
+   */
+  function findOpenRoom(event, data, ack) {
+    const room = store.get(data.quizCode);
+
+    if (!room) {
+      log.warn(`Rejected ${event}: unknown quiz`, { room: data.quizCode, event });
+      reply(ack, { success: false, code: 'ROOM_NOT_FOUND', error: `Unknown quiz: ${data.quizCode}` });
+      return null;
+    }
+
+    if (room.state === QUIZ_STATES.FINISHED) {
+      reply(ack, { success: false, code: 'QUIZ_FINISHED', error: `Quiz ${data.quizCode} has finished` });
+      return null;
+    }
+
+    return room;
+  }
+
+  /**
+   * Look up the room and make sure the sender is its host or a co-host.
+   * Acks the sender with an error and returns null otherwise.
+   */
+  function requireHost(event, socket, data, ack) {
+    const room = store.get(data.quizCode);
+
+    if (!room) {
+      log.warn(`Rejected ${event}: unknown quiz`, { room: data.quizCode, event });
+      reply(ack, { success: false, code: 'ROOM_NOT_FOUND', error: `Unknown quiz: ${data.quizCode}` });
+      return null;
+    }
+
+    if (!isHostSocket(room, socket.id)) {
+      log.warn(`Rejected ${event}: not a host`, { room: data.quizCode, socket: socket.id, event });
+      reply(ack, { success: false, code: 'NOT_HOST', error: `Only the host can send ${event}` });
+      return null;
+    }
+
+    return room;
+  }
+
+  /**
+   * Validate a control event against host permissions and the room
+   * lifecycle. Returns the room on success; acks the sender with an error
+   * and returns null when the event is not allowed.
+   */
+  function applyControlEvent(event, socket, data, ack) {
+    const room = requireHost(event, socket, data, ack);
+    return room ? applyHostTransition(room, event, socket, data, ack) : null;
+  }
+
+  /**
+   * The lifecycle half of applyControlEvent, for handlers that check
+   * the host themselves before validating their payload
+   */
+  function applyHostTransition(room, event, socket, data, ack) {
+    const result = commitTransition(room, event, data);
+
+    if (!result.success) {
+      log.warn(`Rejected ${event}: ${result.error}`, { room: data.quizCode, socket: socket.id, event });
+      reply(ack, result);
+      return null;
+    }
+
+    log.debug(`State ${result.from} → ${result.to}`, { room: data.quizCode, event });
+    reply(ack, { success: true, state: room.state, questionIndex: room.questionIndex });
+    return room;
+  }
+
+  /**
+   * Apply a lifecycle event to the room and save it.
+   * Returns the transition result (see quiz/state-machine.js).
+   */
+  function commitTransition(room, event, data) {
+    const previousIndex = room.questionIndex;
+    const result = transition(room, event, data);
+    if (!result.success) return result;
+
+    // Points for the question we are leaving count, unless it was skipped
+    if (event !== 'skip-question') {
+      settleAnswers(room, previousIndex);
+    }
+
+    // Every transition leaves the current question, so its timer is done
+    clearQuestionTimer(room);
+    if (room.state === QUIZ_STATES.QUESTION_OPEN) {
+      room.questionStartedAt = Date.now();
+    }
+
+    store.save(room);
+    return result;
+  }
+
+  /**
+   * Player-facing payload for the current question: the host's data with
+   * any answer keys removed, plus the sanitized current question.
+   */
+  function getQuestionPayload(room, data) {
+    const { questions, question, ...rest } = data;
+    const payload = { ...stripAnswerKeys(rest), questionIndex: room.questionIndex };
+    const current = room.questions ? room.questions[room.questionIndex] : question;
+    if (current) {
+      payload.question = toPlayerQuestion(current);
+    }
+    return payload;
+  }
+
+  /**
+   * Add a question's points to the players' scores. Scores only change
+   * when a question closes so the leaderboard never hints at correctness
+   * while the question is open.
+   */
+  function settleAnswers(room, questionIndex) {
+    const answers = room.answers.get(questionIndex);
+    if (!answers) return;
+
+    answers.forEach((record) => {
+      if (record.settled) return;
+      record.settled = true;
+      const entry = room.scores.get(record.playerId);
+      if (entry) entry.score += record.points;
+    });
+  }
+
+  /**
+   * Release the correct answer for the current question: each player who
+   * answered gets a private `answer-result`, then the room gets `show-answer`
+   * with the answer key and the leaderboard.
+   */
+  function revealAnswer(room, data) {
+    const question = room.questions ? room.questions[room.questionIndex] : null;
+    const answers = room.answers.get(room.questionIndex) || new Map();
+    settleAnswers(room, room.questionIndex);
+
+    // Not answering breaks a streak just like a wrong answer
+    room.scores.forEach((entry) => {
+      if (!answers.has(entry.playerId)) entry.streak = 0;
+    });
+
+    answers.forEach((record) => {
+      // The player may have resumed on a new socket since answering
+      const socketId = room.sessions.get(record.playerId)?.socketId || record.socketId;
+      sendTo(socketId, 'answer-result', {
+        quizCode: room.code,
+        questionIndex: room.questionIndex,
+        correct: record.correct,
+        credit: record.credit,
+        earnedScore: record.points,
+        totalScore: room.scores.get(record.playerId)?.score || 0
+      });
+    });
+
+    const payload = { ...data, quizCode: room.code, questionIndex: room.questionIndex };
+    if (question) {
+      payload.correctAnswer = getAnswerKey(question);
+      payload.explanation = question.explanation;
+    }
+    payload.leaderboard = getLeaderboard(room);
+
+    log.debug('Broadcast show-answer', { room: room.code });
+    broadcast(room.code, 'show-answer', payload);
+    sendAnswerStats(room);
+  }
+
+  /**
+   * Answer progress for the current question: full `answer-stats` to
+   * hosts and presenter screens, just `answer-count` to the room. Sent
+   * right away when a question opens or closes.
+   */
+  function sendAnswerStats(room) {
+    if (room.questionIndex < 0) return;
+    cancelAnswerStats(room);
+    sendToRoles(room, STATS_ROLES, 'answer-stats', getAnswerStats(room));
+    broadcast(room.code, 'answer-count', getAnswerCount(room));
+  }
+
+  /**
+   * Same as sendAnswerStats, throttled - for updates on each answer
+   */
+  function queueAnswerStats(room) {
+    const questionIndex = room.questionIndex;
+    throttleAnswerStats(room, () => {
+      if (store.get(room.code) !== room || room.questionIndex !== questionIndex) return;
+      sendToRoles(room, STATS_ROLES, 'answer-stats', getAnswerStats(room));
+      broadcast(room.code, 'answer-count', getAnswerCount(room));
+    }, answerStatsIntervalMs);
+  }
+
+  /**
+   * Everything a resuming player needs to pick up where they left off
+   */
+  function getSnapshot(room, playerId) {
+    const entry = room.scores.get(playerId);
+    const answers = room.answers.get(room.questionIndex);
+    const question = room.questions ? room.questions[room.questionIndex] : null;
+
+    return {
+      ...getStatePayload(room),
+      question: room.state === QUIZ_STATES.WAITING ? null : toPlayerQuestion(question),
+      remainingMs: getRemainingMs(room),
+      serverTime: Date.now(),
+      playerId,
+      playerName: entry ? entry.playerName : null,
+      score: entry ? entry.score : 0,
+      answered: Boolean(answers && answers.has(playerId)),
+      leaderboard: getLeaderboard(room)
+    };
+  }
+
+  /**
+   * Attach a socket to a player identity in the room
+   */
+  function bindPlayerSocket(socket, room, playerId, playerName, role) {
+    cancelRoomExpiry(room);
+    socket.join(room.code);
+    socket.data.quizCode = room.code;
+    socket.data.playerId = playerId;
+    socket.data.playerName = playerName;
+    socket.data.role = role;
+  }
+
+  /**
+   * The same playerId joined from another socket: that socket takes over,
+   * the old one is told and dropped from the room
+   */
+  function releaseReplacedSocket(room, session) {
+    const previous = sockets.get(session.socketId);
+    if (!previous) return;
+
+    log.info('Player moved to a new socket', { room: room.code, player: session.playerId });
+    previous.emit('session-replaced', {
+      quizCode: room.code,
+      playerId: session.playerId,
+      timestamp: Date.now()
+    });
+    previous.leave(room.code);
+    previous.data.quizCode = null;
+    previous.data.playerId = null;
+    previous.data.role = null;
+  }
+
+  /**
+   * A playerId already in the room - connected, inside the resume window
+   * or left after the quiz started - is only handed to the socket bound
+   * to it, a socket with its resume token, or one whose verified token
+   * is for that player (checkAuth bound playerId to it). Room broadcasts
+   * show every playerId, so the id alone proves nothing.
+   */
+  function canClaimPlayer(socket, room, playerId, resumeToken) {
+    const session = room.sessions.get(playerId);
+    if (!session && !room.roster.has(playerId)) return true;
+    if (socket.data.auth) return true;
+    if (!session) return false;
+    return (session.connected && session.socketId === socket.id) || findSessionByToken(room, resumeToken) === session;
+  }
+
+  /**
+   * A dropped player did not resume in time
+   */
+  function expirePlayerSession(room, session) {
+    if (draining) return;
+    log.info('Player did not resume in time', { room: room.code, player: session.playerId });
+    removeFromQuiz(room, session.playerId);
+  }
+
+  /**
+   * Take a player out of the quiz. Players who took part keep their
+   * roster entry and score (status 'left') so results stay complete.
+   */
+  function removeFromQuiz(room, playerId) {
+    const entry = getRosterEntry(room, playerId);
+
+    if (room.state === QUIZ_STATES.WAITING) {
+      room.scores.delete(playerId);
+      removePlayer(room, playerId);
+    } else {
+      setPlayerStatus(room, playerId, PLAYER_STATUS.LEFT);
+    }
+    store.save(room);
+
+    broadcast(room.code, 'player-left', {
+      quizCode: room.code,
+      playerId,
+      playerName: entry ? entry.playerName : null,
+      timestamp: Date.now()
+    });
+    broadcastRoster(room, 'left', entry && { ...entry, status: PLAYER_STATUS.LEFT });
+    if (room.state === QUIZ_STATES.QUESTION_OPEN) queueAnswerStats(room);
+    admitFromWaitlist(room);
+    broadcastLobby(room);
+  }
+
+  /**
+   * Roster delta for lobbies: change is 'joined', 'left', 'renamed',
+   * 'status' (connected / disconnected) or 'muted' / 'unmuted'
+   */
+  function broadcastRoster(room, change, player) {
+    if (!player) return;
+    broadcast(room.code, 'roster-update', {
+      quizCode: room.code,
+      change,
+      player,
+      count: countActivePlayers(room),
+      timestamp: Date.now()
+    });
+  }
+
+  function broadcastState(room) {
+    broadcast(room.code, 'quiz-state', getStatePayload(room));
+  }
+
+  /**
+   * Close the open question when its server-side deadline passes
+   */
+  function closeQuestionOnTimeout(room) {
+    if (draining) return;
+    const result = transition(room, 'show-answer');
+    if (!result.success) return;
+    clearQuestionTimer(room);
+
+    log.info(`Question ${room.questionIndex} closed on timeout`, { room: room.code });
+    store.save(room);
+    revealAnswer(room, { reason: 'timeout' });
+    broadcastState(room);
+  }
+
+  /**
+   * Hosts get the hostIds; the rest of the room only who is connected
+   */
+  function broadcastHosts(room, reason) {
+    log.debug(`Broadcast host-changed (${reason})`, { room: room.code });
+    sendToRoles(room, [ROLES.HOST], 'host-changed', { ...getHostPayload(room), reason });
+    sendToRoles(room, JOIN_ROLES, 'host-changed', { ...getHostPayload(room, { ids: false }), reason });
+  }
+
+  /**
+   * A host reconnected from another socket: the old one is told and
+   * dropped from the room
+   */
+  function releaseReplacedHost(room, socketId, hostId) {
+    const previous = sockets.get(socketId);
+    if (!previous) return;
+
+    log.info('Host moved to a new socket', { room: room.code, socket: socketId });
+    previous.emit('session-replaced', { quizCode: room.code, hostId, timestamp: Date.now() });
+    previous.leave(room.code);
+    previous.data.quizCode = null;
+    previous.data.hostId = null;
+  }
+
+  function hasConnectedMembers(room) {
+    if (room.hosts.host && room.hosts.host.socketId) return true;
+    if ([...room.hosts.coHosts.values()].some(Boolean)) return true;
+    return [...room.sessions.values()].some(session => session.connected);
+  }
+
+  /**
+   * Forget a room nobody came back to; its code can be issued again
+   */
+  function expireRoom(room) {
+    if (draining || hasConnectedMembers(room)) return;
+
+    clearQuestionTimer(room);
+    cancelAnswerStats(room);
+    closeSessions(room);
+    store.delete(room.code);
+    eventLog.release(room.code);
+    log.info(`Room expired after ${roomIdleMs / 1000}s empty, code recycled`, { room: room.code });
+  }
+
+  /**
+   * Start the idle countdown once the last member has gone
+   */
+  function expireWhenEmpty(room) {
+    if (!hasConnectedMembers(room)) scheduleRoomExpiry(room, expireRoom, roomIdleMs);
+  }
+
+  /**
+   * Bind a socket to a player, spectator or presenter identity, open its
+   * resume session and tell the room. Returns the join ack payload.
+   */
+  function admitToQuiz(socket, room, playerId, playerName, role) {
+    // One live socket per player: a second tab takes over the session
+    const previous = room.sessions.get(playerId);
+    const tookOver = Boolean(previous && previous.connected && previous.socketId !== socket.id);
+    if (tookOver) releaseReplacedSocket(room, previous);
+    
+    // Add socket to quiz room
+    bindPlayerSocket(socket, room, playerId, playerName, role);
+    if (role === ROLES.PLAYER && !room.scores.has(playerId)) {
+      room.scores.set(playerId, { playerId, playerName, score: 0, streak: 0 });
+    }
+    const { entry, added, renamed } = addPlayer(room, playerId, playerName, role);
+    if (socket.data.auth) entry.verified = true;
+    
+    const session = openSession(room, playerId, socket.id);
+    store.save(room);
+    
+    log.info(`${playerName} joined as ${role}`, { room: room.code, socket: socket.id, player: playerId });
+    
+    // Late joiners need to know where the quiz currently is
+    socket.emit('quiz-state', getStatePayload(room));
+    if (role === ROLES.PRESENTER) sendPresenterView(socket, room, playerId);
+    
+    // Notify all in room that this player joined
+    broadcast(room.code, 'player-joined', {
+      quizCode: room.code,
+      playerId,
+      playerName,
+      role,
+      timestamp: Date.now()
+    });
+    broadcastRoster(room, added ? 'joined' : renamed ? 'renamed' : 'status', getRosterEntry(room, playerId));
+    broadcastLobby(room);
+    
+    return {
+      success: true,
+      outcome: added ? 'joined' : tookOver ? 'took-over' : 'rejoined',
+      role,
+      playerName,
+      resumeToken: session.token,
+      resumeWindowMs: resumeGraceMs
+    };
+  }
+
+  /**
+   * A presenter screen opened mid-quiz shows the current question and
+   * the answers so far right away
+   */
+  function sendPresenterView(socket, room, playerId) {
+    if (room.state === QUIZ_STATES.WAITING) return;
+    socket.emit('quiz-snapshot', getSnapshot(room, playerId));
+    socket.emit('answer-stats', getAnswerStats(room));
+  }
+
+  function broadcastLobby(room) {
+    broadcast(room.code, 'lobby-updated', getLobbyPayload(room));
+  }
+
+  /**
+   * Move waitlisted players into free slots and tell the rest where
+   * they stand
+   */
+  function admitFromWaitlist(room) {
+    takeAdmittable(room).forEach((waiting) => {
+      const socket = sockets.get(waiting.socketId);
+      if (!socket) return;
+
+      const name = resolvePlayerName(room, waiting.playerId, waiting.playerName, nameRules);
+      const playerName = name.success ? name.playerName : waiting.playerId;
+      socket.data.waitlistCode = null;
+      socket.emit('lobby-admitted', admitToQuiz(socket, room, waiting.playerId, playerName, ROLES.PLAYER));
+    });
+    notifyWaitlist(room);
+  }
+
+  function notifyWaitlist(room) {
+    room.lobby.waitlist.forEach((waiting) => {
+      sendTo(waiting.socketId, 'waitlist-position', {
+        quizCode: room.code,
+        position: getWaitlistPosition(room, waiting.playerId),
+        waitlistCount: room.lobby.waitlist.length
+      });
+    });
+  }
+
+  /**
+   * Empty the waitlist once the quiz starts; those players can still
+   * join as spectators
+   */
+  function closeWaitlist(room) {
+    room.lobby.waitlist.forEach((waiting) => {
+      const socket = sockets.get(waiting.socketId);
+      if (socket) socket.data.waitlistCode = null;
+      sendTo(waiting.socketId, 'waitlist-closed', {
+        quizCode: room.code,
+        code: 'QUIZ_IN_PROGRESS',
+        error: 'The quiz started before a slot freed up - join again to spectate'
+      });
+    });
+    room.lobby.waitlist = [];
+  }
+
+  /**
+   * Pick up rooms persisted before a restart. No socket survived, so hosts
+   * and players must reconnect: hosts with their hostId, players with
+   * `resume-quiz` inside a fresh grace window. Open questions keep their
+   * original deadline.
+   */
+  function restoreRooms() {
+    store.list().forEach((room) => {
+      if (room.hosts.host) room.hosts.host.socketId = null;
+      room.hosts.coHosts.forEach((socketId, hostId) => room.hosts.coHosts.set(hostId, null));
+      if (!room.hosts.keys) room.hosts.keys = new Map(); // saved before host keys: hosts need a host token
+      if (!room.roster) room.roster = createRoster(); // saved before rosters existed
+      if (!room.lobby) room.lobby = createLobbyState(maxPlayers);
+      if (!room.presenterKey) room.presenterKey = createPresenterKey();
+      if (!room.kicked) room.kicked = new Set();
+      room.lobby.waitlist = []; // waiting sockets did not survive
+      room.sessions.forEach((session) => {
+        suspendSession(room, session, expirePlayerSession, resumeGraceMs);
+        setPlayerStatus(room, session.playerId, PLAYER_STATUS.DISCONNECTED);
+      });
+
+      if (room.state === QUIZ_STATES.QUESTION_OPEN && room.questionDeadline !== null) {
+        restoreQuestionTimer(room, closeQuestionOnTimeout);
+      }
+
+      store.save(room);
+      expireWhenEmpty(room);
+      log.info(`Restored room: ${room.state}, ${room.scores.size} players`, { room: room.code });
+    });
+  }
+
+  restoreRooms();
+
+  // ============================================
+  // 1. ROOM MANAGEMENT - Add socket to room when joining
+  // ============================================
+
+  /**
+   * Authenticate event - sign in without joining anything yet
+   * Data: { token }
+   * Ack: { success, userId, name, role }
+   *
+   * The token is checked by checkAuth (see quiz/auth.js), like
+   * a `token` sent along with `join-quiz`, `create-quiz` or `host-joined`.
+   */
+  handle('authenticate', (socket, data, ack) => {
+    if (!auth) {
+      reply(ack, { success: false, code: 'AUTH_NOT_CONFIGURED', error: 'This server does not use sign-in tokens' });
+      return;
+    }
+
+    const { userId, name, role } = socket.data.auth;
+    log.info(`Signed in as ${userId} (${role})`, { socket: socket.id });
+    reply(ack, { success: true, userId, name, role });
+  });
+
+  /**
+   * Create quiz event - open a new room with a server-issued code
+   * Data: { hostId, maxPlayers }
+   * Ack: { success, quizCode, role, hostKey, presenterKey }
+   *
+   * The sender becomes the room's host. Share `quizCode` with players;
+   * hosts reconnect to it with `host-joined` and `hostKey`.
+   * `presenterKey` opens presenter screens (see `join-quiz`) - keep
+   * both keys off player devices.
+   */
+  handle('create-quiz', (socket, data, ack) => {
+    const quizCode = generateCode(code => store.has(code));
+    const room = createRoom(quizCode, data.maxPlayers !== undefined ? data.maxPlayers : maxPlayers);
+    const result = claimHost(room, socket.id, data.hostId);
+    store.save(room);
+    
+    socket.join(quizCode);
+    socket.data.quizCode = quizCode;
+    socket.data.hostId = data.hostId;
+    
+    log.info(`Created quiz for host ${data.hostId}`, { room: quizCode, socket: socket.id });
+    reply(ack, { success: true, quizCode, role: result.role, hostKey: result.hostKey, presenterKey: room.presenterKey });
+    socket.emit('quiz-state', getStatePayload(room));
+  });
+
+  /**
+   * Join quiz event (alias: player-joined)
+   * Data: { quizCode, playerId, playerName, role, spectate, presenterKey, resumeToken }
+   * Ack: { success, outcome, role, playerName, nameAdjusted, resumeToken, resumeWindowMs }
+   *
+   * outcome: 'joined' (new player), 'rejoined' (known playerId) or
+   * 'took-over' (the playerId was live on another socket, which gets
+   * `session-replaced`). A playerId already in the room needs the
+   * player's current `resumeToken` (or a sign-in token for them) and
+   * fails with PLAYER_ID_TAKEN otherwise. `playerName` is the name the player got
+   * - it carries a suffix when `nameAdjusted` is true; a rejoin without
+   * one keeps the current name. Blocked or (with the 'reject' policy)
+   * duplicate names fail with NAME_BLOCKED / NAME_TAKEN.
+   *
+   * `role` is 'player' (default), 'spectator' or 'presenter' (see
+   * quiz/roles.js); `spectate: true` is shorthand for 'spectator'.
+   * Presenter screens must send the room's `presenterKey` (from
+   * `create-quiz` / `host-joined`) or fail with INVALID_PRESENTER_KEY.
+   * Players joining after the quiz started become spectators
+   * (reason: QUIZ_IN_PROGRESS). A locked lobby fails with LOBBY_LOCKED;
+   * a full one fails with LOBBY_FULL and puts the player on the waitlist
+   * (`position`) - they get `lobby-admitted` with this same ack payload
+   * once a slot frees up.
+   *
+   * Keep the resume token: it restores this player after a dropped
+   * connection (see `resume-quiz`). Players an admin kicked cannot come
+   * back (PLAYER_KICKED).
+   */
+  handle('join-quiz', (socket, data, ack) => {
+    const { quizCode, playerId } = data;
+    
+    const room = findOpenRoom('join-quiz', data, ack);
+    if (!room) return;
+    
+    if (room.kicked.has(playerId)) {
+      log.warn('Rejected join-quiz: player was kicked', { room: quizCode, socket: socket.id, player: playerId });
+      reply(ack, { success: false, code: 'PLAYER_KICKED', error: 'You were removed from this quiz' });
+      return;
+    }
+    
+    // A player who joined with a verified token keeps needing one, even
+    // where tokens are optional
+    const current = room.roster.get(playerId);
+    if (current && current.verified && !socket.data.auth) {
+      log.warn('Rejected join-quiz: player signs in with a token', { room: quizCode, socket: socket.id, player: playerId });
+      reply(ack, { success: false, code: 'AUTH_REQUIRED', error: 'This player signs in with a token' });
+      return;
+    }
+    
+    if (!canClaimPlayer(socket, room, playerId, data.resumeToken)) {
+      log.warn('Rejected join-quiz: playerId in use', { room: quizCode, socket: socket.id, player: playerId });
+      reply(ack, { success: false, code: 'PLAYER_ID_TAKEN', error: 'That player is already in this quiz - send their resumeToken to rejoin' });
+      return;
+    }
+    
+    const name = resolvePlayerName(room, playerId, data.playerName || (current && current.playerName), nameRules);
+    if (!name.success) {
+      log.warn(`Rejected join-quiz: ${name.error}`, { room: quizCode, socket: socket.id, player: playerId });
+      reply(ack, name);
+      return;
+    }
+    
+    const role = getRequestedRole(data);
+    // Presenter tokens stand in for the presenter key
+    const presenterToken = socket.data.auth && socket.data.auth.role === ROLES.PRESENTER;
+    if (role === ROLES.PRESENTER && !presenterToken && data.presenterKey !== room.presenterKey) {
+      log.warn('Rejected join-quiz: no valid presenter key', { room: quizCode, socket: socket.id, player: playerId });
+      reply(ack, { success: false, code: 'INVALID_PRESENTER_KEY', error: 'Presenter screens need the key from the host' });
+      return;
+    }
+    
+    const admission = checkAdmission(room, playerId, { role, lateJoin });
+    if (admission.success === false) {
+      log.warn(`Rejected join-quiz: ${admission.error}`, { room: quizCode, socket: socket.id, player: playerId });
+      reply(ack, admission);
+      return;
+    }
+    
+    if (admission.admit === 'waitlist') {
+      const position = enqueue(room, playerId, name.playerName, socket.id);
+      socket.data.waitlistCode = quizCode;
+      store.save(room);
+      
+      log.info(`${name.playerName} waitlisted at #${position}`, { room: quizCode, socket: socket.id, player: playerId });
+      reply(ack, {
+        success: false,
+        code: 'LOBBY_FULL',
+        error: 'The lobby is full - you are on the waitlist',
+        waitlisted: true,
+        position
+      });
+      broadcastLobby(room);
+      return;
+    }
+    
+    const result = admitToQuiz(socket, room, playerId, name.playerName, admission.admit);
+    reply(ack, { ...result, nameAdjusted: name.adjusted, reason: admission.reason });
+  });
+
+  /**
+   * Resume quiz event - reconnect after a dropped connection
+   * Data: { quizCode, resumeToken }
+   * Ack: { success, snapshot }
+   *
+   * Restores the player's identity, score and room membership, then sends
+   * a `quiz-snapshot` with the current question and remaining time. A
+   * socket still bound to the player gets `session-replaced`.
+   */
+  handle('resume-quiz', (socket, data, ack) => {
+    const room = store.get(data.quizCode);
+    const session = room ? findSessionByToken(room, data.resumeToken) : null;
+    
+    if (!session) {
+      reply(ack, { success: false, code: 'RESUME_EXPIRED', error: 'Session expired - join the quiz again' });
+      return;
+    }
+    
+    if (socket.data.auth && socket.data.auth.userId !== session.playerId) {
+      log.warn('Rejected resume-quiz: token is for another player', { room: room.code, socket: socket.id });
+      reply(ack, { success: false, code: 'TOKEN_MISMATCH', error: 'This resume token belongs to another player' });
+      return;
+    }
+    
+    const entry = room.roster.get(session.playerId);
+    const playerName = entry ? entry.playerName : session.playerId;
+    const role = entry ? entry.role : ROLES.PLAYER;
+    
+    // The old socket may not have noticed the drop yet
+    if (session.connected && session.socketId !== socket.id) releaseReplacedSocket(room, session);
+    resumeSession(room, session, socket.id);
+    setPlayerStatus(room, session.playerId, PLAYER_STATUS.CONNECTED);
+    store.save(room);
+    bindPlayerSocket(socket, room, session.playerId, playerName, role);
+    
+    log.info(`${playerName} resumed`, { room: room.code, socket: socket.id, player: session.playerId });
+    
+    const snapshot = getSnapshot(room, session.playerId);
+    reply(ack, { success: true, snapshot });
+    socket.emit('quiz-snapshot', snapshot);
+    if (role === ROLES.PRESENTER && room.state !== QUIZ_STATES.WAITING) {
+      socket.emit('answer-stats', getAnswerStats(room));
+    }
+    
+    broadcast(room.code, 'player-resumed', {
+      quizCode: room.code,
+      playerId: session.playerId,
+      playerName,
+      timestamp: Date.now()
+    });
+    broadcastRoster(room, 'status', getRosterEntry(room, session.playerId));
+  });
+
+  /**
+   * Rename event - change your own display name
+   * Data: { quizCode, playerName }
+   * Ack: { success, playerName, nameAdjusted } - same name rules as join-quiz
+   */
+  handle('rename-player', (socket, data, ack) => {
+    const room = store.get(data.quizCode);
+    const playerId = socket.data.playerId;
+    
+    if (!room || !playerId || socket.data.quizCode !== data.quizCode || !room.roster.has(playerId)) {
+      reply(ack, { success: false, code: 'NOT_JOINED', error: 'Join the quiz before renaming' });
+      return;
+    }
+    
+    if (isPlayerMuted(room, playerId)) {
+      reply(ack, { success: false, code: 'PLAYER_MUTED', error: 'You have been muted by an admin' });
+      return;
+    }
+    
+    const name = resolvePlayerName(room, playerId, data.playerName, nameRules);
+    if (!name.success) {
+      reply(ack, name);
+      return;
+    }
+    
+    renamePlayer(room, playerId, name.playerName);
+    socket.data.playerName = name.playerName;
+    store.save(room);
+    reply(ack, { success: true, playerName: name.playerName, nameAdjusted: name.adjusted });
+    
+    log.info(`Renamed to ${name.playerName}`, { room: room.code, socket: socket.id, player: playerId });
+    broadcastRoster(room, 'renamed', getRosterEntry(room, playerId));
+  });
+
+  /**
+   * Leave quiz event - leave on purpose (no resume window)
+   * Data: { quizCode }
+   */
+  handle('leave-quiz', (socket, data, ack) => {
+    const room = store.get(data.quizCode);
+    const playerId = socket.data.playerId;
+    
+    if (!room || !playerId || socket.data.quizCode !== data.quizCode) {
+      reply(ack, { success: false, code: 'NOT_JOINED', error: 'You are not in this quiz' });
+      return;
+    }
+    
+    room.sessions.delete(playerId);
+    socket.leave(room.code);
+    socket.data.quizCode = null;
+    socket.data.playerId = null;
+    socket.data.role = null;
+    reply(ack, { success: true });
+    
+    log.info('Player left', { room: room.code, socket: socket.id, player: playerId });
+    removeFromQuiz(room, playerId);
+    expireWhenEmpty(room);
+  });
+
+  // ============================================
+  // 2. AUTO-BROADCAST HANDLERS
+  // ============================================
+  // Each of these handlers receives an event from a client
+  // and automatically broadcasts it to all other clients in the same room.
+  // Control events (quiz-started, next-question, skip-question, show-answer,
+  // show-results, end-quiz) and timer-start are only accepted from the
+  // room's host or co-hosts, and are checked against the room lifecycle;
+  // illegal ones get an error ack and are NOT broadcast. Every accepted
+  // control event is followed by a `quiz-state` broadcast.
+
+  /**
+   * Host joined event
+   * Data: { quizCode, hostId, hostKey }
+   * Ack: { success, role, presenterKey }
+   *
+   * Rooms are opened with `create-quiz`; this event (re)attaches a host
+   * socket to an existing room. Sockets are only accepted with the
+   * hostId of the host or a co-host and that hostId's key (from
+   * `create-quiz` / `add-co-host`), or with a host token for the hostId
+   * (INVALID_HOST_KEY otherwise). A socket already in that seat gets
+   * `session-replaced`.
+   */
+  handle('host-joined', (socket, data, ack) => {
+    const { quizCode, hostId } = data;
+    
+    const room = store.get(quizCode);
+    if (!room) {
+      log.warn('Rejected host-joined: unknown quiz', { room: quizCode, socket: socket.id });
+      reply(ack, { success: false, code: 'ROOM_NOT_FOUND', error: `Unknown quiz: ${quizCode}` });
+      return;
+    }
+    
+    // With a token, checkAuth already bound hostId to it
+    const result = claimHost(room, socket.id, hostId, { hostKey: data.hostKey, verified: Boolean(socket.data.auth) });
+    
+    if (!result.success) {
+      log.warn(`Rejected host-joined: ${result.error}`, { room: quizCode, socket: socket.id });
+      reply(ack, result);
+      return;
+    }
+    if (result.replaced) releaseReplacedHost(room, result.replaced, hostId);
+    cancelRoomExpiry(room);
+    store.save(room);
+    
+    // Add socket to quiz room
+    socket.join(quizCode);
+    socket.data.quizCode = quizCode;
+    socket.data.hostId = hostId;
+    socket.emit('quiz-state', getStatePayload(room));
+    
+    const roomSize = socket.server.rooms.get(quizCode)?.size || 0;
+    log.info(`${result.role} ${hostId} joined`, { room: quizCode, socket: socket.id, roomSize });
+    
+    reply(ack, { success: true, role: result.role, presenterKey: room.presenterKey });
+    
+    // Broadcast to all in room - without the hostId, see broadcastHosts
+    log.debug('Broadcast host-joined', { room: quizCode });
+    broadcast(quizCode, 'host-joined', { quizCode, role: result.role, timestamp: Date.now() });
+    if (result.changed) broadcastHosts(room, 'joined');
+  });
+
+  /**
+   * Add co-host event (primary host only)
+   * Data: { quizCode, hostId }
+   * Ack: { success, hostId, hostKey } - the co-host joins with this key
+   */
+  handle('add-co-host', (socket, data, ack) => {
+    const room = requireHost('add-co-host', socket, data, ack);
+    if (!room) return;
+    
+    if (!isPrimaryHostSocket(room, socket.id)) {
+      reply(ack, { success: false, code: 'NOT_PRIMARY_HOST', error: 'Only the primary host can add co-hosts' });
+      return;
+    }
+    
+    const result = addCoHost(room, data.hostId);
+    reply(ack, result);
+    if (result.success) store.save(room);
+    if (result.success) broadcastHosts(room, 'co-host-added');
+  });
+
+  /**
+   * Remove co-host event (primary host only)
+   * Data: { quizCode, hostId }
+   */
+  handle('remove-co-host', (socket, data, ack) => {
+    const room = requireHost('remove-co-host', socket, data, ack);
+    if (!room) return;
+    
+    if (!isPrimaryHostSocket(room, socket.id)) {
+      reply(ack, { success: false, code: 'NOT_PRIMARY_HOST', error: 'Only the primary host can remove co-hosts' });
+      return;
+    }
+    
+    const result = removeCoHost(room, data.hostId);
+    reply(ack, result);
+    if (result.success) store.save(room);
+    if (result.success) broadcastHosts(room, 'co-host-removed');
+  });
+
+  /**
+   * Transfer host event (primary host only) - hand the room to a co-host
+   * Data: { quizCode, hostId }
+   */
+  handle('transfer-host', (socket, data, ack) => {
+    const room = requireHost('transfer-host', socket, data, ack);
+    if (!room) return;
+    
+    if (!isPrimaryHostSocket(room, socket.id)) {
+      reply(ack, { success: false, code: 'NOT_PRIMARY_HOST', error: 'Only the primary host can transfer the room' });
+      return;
+    }
+    
+    const result = transferHost(room, data.hostId);
+    reply(ack, result);
+    if (result.success) store.save(room);
+    if (result.success) broadcastHosts(room, 'transferred');
+  });
+
+  /**
+   * Lock / unlock lobby events (host or co-host)
+   * Data: { quizCode }
+   *
+   * A locked lobby turns new players away with LOBBY_LOCKED; players
+   * already in the room can still reconnect.
+   */
+  handle('lock-lobby', (socket, data, ack) => {
+    setLobbyLocked('lock-lobby', socket, data, ack, true);
+  });
+
+  handle('unlock-lobby', (socket, data, ack) => {
+    setLobbyLocked('unlock-lobby', socket, data, ack, false);
+  });
+
+  function setLobbyLocked(event, socket, data, ack, locked) {
+    const room = requireHost(event, socket, data, ack);
+    if (!room) return;
+    
+    room.lobby.locked = locked;
+    store.save(room);
+    reply(ack, { success: true, ...getLobbyPayload(room) });
+    
+    log.info(`Lobby ${locked ? 'locked' : 'unlocked'}`, { room: room.code, socket: socket.id });
+    if (!locked) admitFromWaitlist(room);
+    broadcastLobby(room);
+  }
+
+  /**
+   * Set max players event (host or co-host)
+   * Data: { quizCode, maxPlayers } - null removes the cap
+   *
+   * Lowering the cap never removes players already in the room.
+   */
+  handle('set-max-players', (socket, data, ack) => {
+    const room = requireHost('set-max-players', socket, data, ack);
+    if (!room) return;
+    
+    room.lobby.maxPlayers = data.maxPlayers === undefined ? null : data.maxPlayers;
+    store.save(room);
+    reply(ack, { success: true, ...getLobbyPayload(room) });
+    
+    admitFromWaitlist(room);
+    broadcastLobby(room);
+  });
+
+  /**
+   * Quiz started event (alias: start-quiz)
+   * Data: { quizCode, questions, projectMode, scoring }
+   *
+   * `questions` follow the schema in quiz/question-types.js and may carry
+   * answer keys. The server keeps them and broadcasts the question set
+   * with the keys removed.
+   * `scoring` names a strategy from quiz/scoring.js (default: flat).
+   */
+  handle('quiz-started', (socket, data, ack) => {
+    // Only hosts get to see how their question set is validated
+    const hostRoom = requireHost('quiz-started', socket, data, ack);
+    if (!hostRoom) return;
+    
+    const scoring = resolveScoring(data.scoring);
+    if (!scoring.success) {
+      reply(ack, scoring);
+      return;
+    }
+    
+    const questionSet = normalizeQuestions(data.questions);
+    if (!questionSet.success) {
+      reply(ack, questionSet);
+      return;
+    }
+    
+    const room = applyHostTransition(hostRoom, 'quiz-started', socket, data, ack);
+    if (!room) return;
+    
+    room.scoring = scoring.scoring;
+    room.questions = questionSet.questions;
+    closeWaitlist(room);
+    room.questionCount = room.questions ? room.questions.length : null;
+    
+    const payload = getQuestionPayload(room, data);
+    if (room.questions) {
+      payload.questions = room.questions.map(toPlayerQuestion);
+    }
+    
+    log.debug('Broadcast quiz-started', { room: data.quizCode });
+    broadcast(data.quizCode, 'quiz-started', payload);
+    broadcastState(room);
+    sendAnswerStats(room);
+  });
+
+  /**
+   * Timer started event
+   * Data: { quizCode, duration } - duration in seconds
+   *
+   * The server owns the deadline: it broadcasts `endsAt` (epoch ms) and
+   * closes the question with `show-answer` when the time is up.
+   */
+  handle('timer-start', (socket, data, ack) => {
+    const room = requireHost('timer-start', socket, data, ack);
+    if (!room) return;
+    
+    if (room.state !== QUIZ_STATES.QUESTION_OPEN) {
+      reply(ack, { success: false, code: 'INVALID_STATE', error: `Cannot start timer while quiz is ${room.state}` });
+      return;
+    }
+    
+    const duration = Number(data.duration);
+    if (!Number.isFinite(duration) || duration < MIN_DURATION_SECONDS || duration > MAX_DURATION_SECONDS) {
+      reply(ack, {
+        success: false,
+        code: 'INVALID_DURATION',
+        error: `duration must be between ${MIN_DURATION_SECONDS} and ${MAX_DURATION_SECONDS} seconds`
+      });
+      return;
+    }
+    
+    const endsAt = startQuestionTimer(room, duration, closeQuestionOnTimeout);
+    store.save(room);
+    reply(ack, { success: true, endsAt });
+    
+    log.debug('Broadcast timer-start', { room: data.quizCode });
+    broadcast(data.quizCode, 'timer-start', {
+      quizCode: data.quizCode,
+      questionIndex: room.questionIndex,
+      duration,
+      endsAt,
+      serverTime: Date.now()
+    });
+  });
+
+  /**
+   * Next question event
+   * Data: { quizCode, questionIndex }
+   */
+  handle('next-question', (socket, data, ack) => {
+    const room = applyControlEvent('next-question', socket, data, ack);
+    if (!room) return;
+    log.debug('Broadcast next-question', { room: data.quizCode });
+    broadcast(data.quizCode, 'next-question', getQuestionPayload(room, data));
+    broadcastState(room);
+    sendAnswerStats(room);
+  });
+
+  /**
+   * Player answered event (alias: submit-answer)
+   * Data: { quizCode, playerId, answer, questionIndex }
+   *
+   * `answer` depends on the question type (see quiz/question-types.js);
+   * single-choice clients may still send `answerIndex`.
+   *
+   * Answers are only accepted while the question is open and before its
+   * server-side deadline. The server scores the first answer per player;
+   * correctness is only revealed with `show-answer`. Spectators and
+   * presenter screens cannot answer (NOT_A_PLAYER), nor can players an
+   * admin muted (PLAYER_MUTED).
+   *
+   * Answers are never relayed to the room: hosts get `player-answered`
+   * without the answer, hosts and presenters get throttled
+   * `answer-stats`, everyone gets the throttled `answer-count`.
+   */
+  handle('player-answered', (socket, data, ack) => {
+    const room = store.get(data.quizCode);
+    
+    if (!room || room.state !== QUIZ_STATES.QUESTION_OPEN) {
+      reply(ack, { success: false, code: 'QUESTION_CLOSED', error: 'No question is open' });
+      return;
+    }
+    
+    if (Number.isInteger(data.questionIndex) && data.questionIndex !== room.questionIndex) {
+      reply(ack, { success: false, code: 'STALE_QUESTION', error: `Question ${data.questionIndex} is no longer open` });
+      return;
+    }
+    
+    if (isPastDeadline(room)) {
+      log.warn('Rejected player-answered: after deadline', { room: data.quizCode, socket: socket.id, player: socket.data.playerId });
+      reply(ack, { success: false, code: 'DEADLINE_PASSED', error: 'Time is up for this question' });
+      return;
+    }
+    
+    const playerId = socket.data.playerId;
+    if (!playerId || socket.data.quizCode !== data.quizCode) {
+      reply(ack, { success: false, code: 'NOT_JOINED', error: 'Join the quiz before answering' });
+      return;
+    }
+    
+    const member = room.roster.get(playerId);
+    if (!room.scores.has(playerId) || (member && !canAnswer(member.role))) {
+      reply(ack, { success: false, code: 'NOT_A_PLAYER', error: 'Only players can answer' });
+      return;
+    }
+    
+    if (isPlayerMuted(room, playerId)) {
+      reply(ack, { success: false, code: 'PLAYER_MUTED', error: 'You have been muted by an admin' });
+      return;
+    }
+    
+    if (!room.answers.has(room.questionIndex)) {
+      room.answers.set(room.questionIndex, new Map());
+    }
+    const answers = room.answers.get(room.questionIndex);
+    
+    if (answers.has(playerId)) {
+      reply(ack, { success: false, code: 'ALREADY_ANSWERED', error: 'You already answered this question' });
+      return;
+    }
+    
+    const question = room.questions ? room.questions[room.questionIndex] : null;
+    let answer = data.answer !== undefined ? data.answer : data.answerIndex;
+    
+    // Example-server clients answer with the option text
+    if (question && question.type === 'single' && typeof answer === 'string' && question.options.includes(answer)) {
+      answer = question.options.indexOf(answer);
+    }
+    
+    const answerError = checkAnswer(question, answer);
+    if (answerError) {
+      reply(ack, { success: false, code: 'INVALID_ANSWER', error: answerError });
+      return;
+    }
+    
+    const answeredAt = Date.now();
+    const credit = getCredit(question, answer);
+    const correct = credit >= 1;
+    
+    // Latency is measured on the server, from when the question opened -
+    // client-reported times are ignored
+    const responseMs = answeredAt - room.questionStartedAt;
+    const entry = room.scores.get(playerId);
+    entry.streak = correct ? entry.streak + 1 : 0;
+    
+    const points = scoreAnswer(room.scoring, {
+      credit,
+      responseMs,
+      windowMs: room.questionDeadline ? room.questionDeadline - room.questionStartedAt : null,
+      streak: entry.streak
+    });
+    
+    answers.set(playerId, {
+      playerId,
+      answer,
+      correct,
+      credit,
+      points,
+      responseMs,
+      socketId: socket.id,
+      answeredAt,
+      settled: false
+    });
+    store.save(room);
+    
+    reply(ack, { success: true });
+    sendToRoles(room, [ROLES.HOST], 'player-answered', {
+      quizCode: room.code,
+      playerId,
+      playerName: entry.playerName,
+      questionIndex: room.questionIndex,
+      responseMs
+    });
+    queueAnswerStats(room);
+  });
+
+  /**
+   * Skip question event
+   * Data: { quizCode, questionIndex }
+   */
+  handle('skip-question', (socket, data, ack) => {
+    const room = applyControlEvent('skip-question', socket, data, ack);
+    if (!room) return;
+    log.debug('Broadcast skip-question', { room: data.quizCode });
+    broadcast(data.quizCode, 'skip-question', getQuestionPayload(room, data));
+    broadcastState(room);
+    sendAnswerStats(room);
+  });
+
+  /**
+   * Show answer event
+   * Data: { quizCode, questionIndex }
+   */
+  handle('show-answer', (socket, data, ack) => {
+    const room = applyControlEvent('show-answer', socket, data, ack);
+    if (!room) return;
+    revealAnswer(room, data);
+    broadcastState(room);
+  });
+
+  /**
+   * End quiz event (alias: quiz-finished)
+   * Data: { quizCode }
+   */
+  handle('end-quiz', (socket, data, ack) => {
+    const room = applyControlEvent('end-quiz', socket, data, ack);
+    if (!room) return;
+    broadcastQuizEnd(room, data);
+  });
+
+  function broadcastQuizEnd(room, data) {
+    log.debug('Broadcast end-quiz', { room: room.code });
+    broadcast(room.code, 'end-quiz', { ...data, leaderboard: getLeaderboard(room) });
+    broadcastState(room);
+    sendToRoles(room, [ROLES.HOST], 'results-ready', { quizCode: room.code, formats: RESULT_FORMATS });
+  }
+
+  /**
+   * Show results event
+   * Data: { quizCode, results }
+   */
+  handle('show-results', (socket, data, ack) => {
+    const room = applyControlEvent('show-results', socket, data, ack);
+    if (!room) return;
+    log.debug('Broadcast show-results', { room: data.quizCode });
+    broadcast(data.quizCode, 'show-results', { ...data, leaderboard: getLeaderboard(room) });
+    broadcastState(room);
+  });
+
+  const lastPresence = new Map(); // socketId → when its last ping was relayed
+
+  /**
+   * Player presence event
+   * Data: { quizCode }
+   *
+   * Only players in the room may ping (NOT_JOINED). The relayed playerId
+   * and playerName are the ones the socket joined with, never the
+   * payload's. Relayed at most once per `presenceDebounceMs` per socket;
+   * pings in between are dropped and fail with RATE_LIMITED (not counted
+   * as an offense).
+   * Ack: { success }
+   */
+  handle('player-present', (socket, data, ack) => {
+    if (!socket.data.playerId || socket.data.quizCode !== data.quizCode) {
+      reply(ack, { success: false, code: 'NOT_JOINED', error: 'Join the quiz before sending presence' });
+      return;
+    }
+
+    const last = lastPresence.get(socket.id);
+    const sinceLast = last === undefined ? Infinity : Date.now() - last;
+    if (sinceLast < presenceDebounceMs) {
+      const retryAfter = presenceDebounceMs - sinceLast;
+      reportRateLimited(socket, 'player-present', retryAfter, { offense: false });
+      reply(ack, {
+        success: false,
+        code: 'RATE_LIMITED',
+        error: 'Too many player-present events, please slow down',
+        retryAfter
+      });
+      return;
+    }
+
+    lastPresence.set(socket.id, Date.now());
+    log.debug('Broadcast player-present', { room: data.quizCode });
+    broadcast(data.quizCode, 'player-present', {
+      quizCode: data.quizCode,
+      playerId: socket.data.playerId,
+      playerName: socket.data.playerName
+    });
+    reply(ack, { success: true });
+  });
+
+  // ============================================
+  // 3. DATA REQUESTS (respond to single socket)
+  // ============================================
+
+  /**
+   * Get players request - send back to requester only
+   * Data: { quizCode }
+   *
+   * `players` is the full roster (see quiz/roster.js); `count` only
+   * counts players who have not left. Hosts are not players. Only
+   * sockets in the room may ask (NOT_JOINED).
+   */
+  handle('get-players', (socket, data, ack) => {
+    const room = store.get(data.quizCode);
+    if (!room || socket.data.quizCode !== data.quizCode) {
+      reply(ack, { success: false, code: 'NOT_JOINED', error: 'Join the quiz to see its players' });
+      return;
+    }
+    
+    const payload = {
+      quizCode: data.quizCode,
+      count: countActivePlayers(room),
+      players: getRoster(room)
+    };
+    
+    log.debug(`players-list: ${payload.count} players`, { room: data.quizCode, socket: socket.id });
+    
+    reply(ack, { success: true, ...payload });
+    socket.emit('players-list', payload);
+  });
+
+  /**
+   * Get results request (host or co-host) - send back to requester only
+   * Data: { quizCode, format } - 'json' (default) or 'csv'
+   * Ack: { success, quizCode, format, filename, contentType, content }
+   *
+   * Per-player, per-question results (see quiz/results.js), available
+   * once the quiz shows results or has finished. `content` is the report
+   * object for JSON and the file text for CSV.
+   */
+  handle('get-results', (socket, data, ack) => {
+    const room = requireHost('get-results', socket, data, ack);
+    if (!room) return;
+    
+    if (!isResultsReady(room)) {
+      reply(ack, { success: false, code: 'RESULTS_NOT_READY', error: 'Results are available once the quiz is over' });
+      return;
+    }
+    
+    const payload = getResults(room, data.format);
+    log.info(`Results exported as ${payload.format}`, { room: room.code, socket: socket.id });
+    
+    reply(ack, { success: true, ...payload });
+    socket.emit('results-report', payload);
+  });
+
+  function isResultsReady(room) {
+    return room.state === QUIZ_STATES.RESULTS || room.state === QUIZ_STATES.FINISHED;
+  }
+
+  function getResults(room, format) {
+    return formatResults(buildResultsReport(room, getLeaderboard(room)), format);
+  }
+
+  /**
+   * Keep a dropped player's session for the resume grace window
+   */
+  function suspendPlayer(quizCode, socket) {
+    const room = store.get(quizCode);
+    if (!room) return;
+
+    const session = findSessionBySocket(room, socket.id);
+    if (!session) return;
+
+    suspendSession(room, session, expirePlayerSession, resumeGraceMs);
+    setPlayerStatus(room, session.playerId, PLAYER_STATUS.DISCONNECTED);
+    store.save(room);
+    broadcast(quizCode, 'player-disconnected', {
+      quizCode,
+      playerId: session.playerId,
+      resumeWindowMs: resumeGraceMs,
+      timestamp: Date.now()
+    });
+    broadcastRoster(room, 'status', getRosterEntry(room, session.playerId));
+  }
+
+  function releaseHost(quizCode, socket) {
+    const room = store.get(quizCode);
+    if (!room) return;
+
+    const { changed, promoted } = releaseHostSocket(room, socket.id);
+    if (!changed) return;
+    store.save(room);
+
+    if (promoted) {
+      log.info(`Host dropped, promoted co-host ${promoted}`, { room: quizCode, socket: socket.id });
+      broadcastHosts(room, 'host-promoted');
+    } else {
+      broadcastHosts(room, 'host-disconnected');
+    }
+  }
+
+  // ============================================
+  // 4. DISCONNECT
+  // ============================================
+
+  namespace.on('disconnected', (socket) => {
+    sockets.delete(socket.id);
+    lastPresence.delete(socket.id);
+    if (rateLimiter) rateLimiter.forget(socket.id);
+
+    // Restarting: keep the room as saved so the next process resumes it
+    if (draining) return;
+
+    const waitlistRoom = socket.data.waitlistCode && store.get(socket.data.waitlistCode);
+    if (waitlistRoom && dequeueSocket(waitlistRoom, socket.id)) {
+      store.save(waitlistRoom);
+      notifyWaitlist(waitlistRoom);
+      broadcastLobby(waitlistRoom);
+    }
+
+    const quizCode = socket.data.quizCode;
+    if (!quizCode) return;
+
+    logEvent(quizCode, {
+      direction: 'in',
+      event: 'disconnected',
+      socketId: socket.id,
+      actor: socket.data.playerId || socket.data.hostId || null
+    });
+    releaseHost(quizCode, socket);
+    suspendPlayer(quizCode, socket);
+    socket.leave(quizCode);
+    log.debug('Socket left room', { room: quizCode, socket: socket.id });
+
+    // The question timer keeps running, so players who come back find
+    // the question closed on time rather than open with no deadline
+    const room = store.get(quizCode);
+    if (room) expireWhenEmpty(room);
+  });
+
+  // ============================================
+  // 5. MODERATION
+  // ============================================
+  // Called by the admin namespace (see quiz/admin.js), never by quiz
+  // clients. Each returns an ack-style result.
+
+  function findModeratedPlayer(quizCode, playerId) {
+    const room = store.get(quizCode);
+    if (!room) {
+      return { error: { success: false, code: 'ROOM_NOT_FOUND', error: `Unknown quiz: ${quizCode}` } };
+    }
+
+    const entry = room.roster.get(playerId);
+    if (!entry || entry.status === PLAYER_STATUS.LEFT) {
+      return { error: { success: false, code: 'PLAYER_NOT_FOUND', error: `No player ${playerId} in quiz ${quizCode}` } };
+    }
+    return { room, entry };
+  }
+
+  /**
+   * Remove a player for good: their socket gets `kicked`, their resume
+   * token stops working and join-quiz refuses their playerId
+   */
+  function kickPlayer(quizCode, playerId, reason = null) {
+    const { room, error } = findModeratedPlayer(quizCode, playerId);
+    if (error) return error;
+
+    const session = room.sessions.get(playerId);
+    const socket = session && session.connected ? sockets.get(session.socketId) : null;
+    closeSession(room, playerId);
+    room.kicked.add(playerId);
+
+    if (socket) {
+      sendTo(socket.id, 'kicked', { quizCode, playerId, reason, timestamp: Date.now() });
+      socket.leave(quizCode);
+      socket.data.quizCode = null;
+      socket.data.playerId = null;
+      socket.data.role = null;
+    }
+
+    log.info('Player kicked', { room: quizCode, player: playerId, reason });
+    removeFromQuiz(room, playerId);
+    expireWhenEmpty(room);
+    return { success: true, quizCode, playerId };
+  }
+
+  /**
+   * Muted players stay in the room but cannot answer or rename
+   */
+  function mutePlayer(quizCode, playerId, muted = true, reason = null) {
+    const { room, error } = findModeratedPlayer(quizCode, playerId);
+    if (error) return error;
+
+    setPlayerMuted(room, playerId, muted);
+    store.save(room);
+
+    const session = room.sessions.get(playerId);
+    if (session && session.connected) {
+      sendTo(session.socketId, 'player-muted', { quizCode, playerId, muted, reason, timestamp: Date.now() });
+    }
+
+    log.info(muted ? 'Player muted' : 'Player unmuted', { room: quizCode, player: playerId });
+    broadcastRoster(room, muted ? 'muted' : 'unmuted', getRosterEntry(room, playerId));
+    return { success: true, quizCode, playerId, muted };
+  }
+
+  /**
+   * End a quiz whatever the host is doing; the room gets the usual
+   * `end-quiz` with `endedBy: 'admin'`
+   */
+  function forceEnd(quizCode, reason = null) {
+    const room = store.get(quizCode);
+    if (!room) return { success: false, code: 'ROOM_NOT_FOUND', error: `Unknown quiz: ${quizCode}` };
+
+    const result = commitTransition(room, 'end-quiz', {});
+    if (!result.success) return result;
+
+    log.info('Quiz ended by an admin', { room: quizCode, reason });
+    broadcastQuizEnd(room, { quizCode, endedBy: 'admin', reason });
+    return { success: true, quizCode, state: room.state };
+  }
+
+  /**
+   * Send `announcement` to one room, or to every room when quizCode is
+   * left out
+   */
+  function announce(quizCode, message) {
+    if (quizCode && !store.has(quizCode)) {
+      return { success: false, code: 'ROOM_NOT_FOUND', error: `Unknown quiz: ${quizCode}` };
+    }
+
+    const codes = quizCode ? [quizCode] : store.list().map(room => room.code);
+    codes.forEach((code) => {
+      broadcast(code, 'announcement', { quizCode: code, message, from: 'admin', timestamp: Date.now() });
+    });
+    log.info(`Announcement sent to ${codes.length} rooms`, { room: quizCode || undefined });
+    return { success: true, rooms: codes.length };
+  }
+
+  // ============================================
+  // 6. SHUTDOWN
+  // ============================================
+  // See quiz/shutdown.js for the drain sequence.
+
+  let shuttingDown = null;
+
+  /**
+   * Drain the namespace for a restart.
+   * Options: { reason, retryAfterMs, timeoutMs }
+   * Resolves { rooms, timedOut } once room state is on disk, or the
+   * deadline passed. Calling it again returns the same promise.
+   */
+  function shutdown(shutdownOptions = {}) {
+    if (shuttingDown) return shuttingDown;
+
+    const {
+      reason = 'restart',
+      retryAfterMs = RESTART_RETRY_AFTER_MS,
+      timeoutMs = SHUTDOWN_TIMEOUT_MS
+    } = shutdownOptions;
+    const deadline = Date.now() + timeoutMs;
+    draining = { reason, retryAfterMs };
+
+    store.list().forEach((room) => {
+      broadcast(room.code, 'server-restarting', {
+        quizCode: room.code,
+        reason,
+        retryAfterMs,
+        timestamp: Date.now()
+      });
+    });
+    log.info(`Draining ${store.list().length} rooms for ${reason}`, { retryAfterMs, timeoutMs });
+
+    shuttingDown = (async () => {
+      const rooms = store.list();
+      rooms.forEach((room) => {
+        cancelAnswerStats(room);
+        store.save(room);
+      });
+      const flushed = await settleBefore(Promise.all([store.flush(), eventLog.flush()]), deadline);
+
+      const timedOut = !flushed;
+      if (timedOut) {
+        log.warn(`Shutdown deadline passed after ${timeoutMs}ms`);
+      } else {
+        log.info(`Saved ${rooms.length} rooms for restart`);
+      }
+      return { rooms: rooms.length, timedOut };
+    })();
+    return shuttingDown;
+  }
+
+  return {
+    namespace,
+    store,
+    eventLog,
+    metrics,
+    getRoom: code => store.get(code),
+    listRooms: () => store.list(),
+    getResults: (code, format) => {
+      const room = store.get(code);
+      return room && isResultsReady(room) ? getResults(room, format) : null;
+    },
+    kickPlayer,
+    mutePlayer,
+    forceEnd,
+    announce,
+    reportRateLimited: (socket, retryAfterMs) => reportRateLimited(socket, null, retryAfterMs),
+    shutdown
+  };
+}
\ No newline at end of file
@@ -0,0 +1,118 @@
+/**
+ * Quiz Lobby - Capacity, Locking and Waitlist
+ *
+ * Lobby state lives on the room (`room.lobby`):
+ *
+ *   { maxPlayers, locked, waitlist: [{ playerId, playerName, socketId, queuedAt }] }
+ *
+ * Admission rules for a new player (returning playerIds are always let
+ * back in):
+ *
+ *   quiz already started  → spectator (or QUIZ_IN_PROGRESS with lateJoin: 'reject')
+ *   lobby locked          → LOBBY_LOCKED
+ *   lobby full            → waitlisted (LOBBY_FULL), admitted when a slot frees up
+ *
+ * Spectators and presenter screens never take a player slot and are let
+ * in whatever the lobby state (see quiz/roles.js).
+ */
+
+import { QUIZ_STATES } from './state-machine.js';
+import { countActivePlayers } from './roster.js';
+import { ROLES } from './roles.js';
+
+export const MAX_PLAYERS_LIMIT = 1000;
+
+export const LATE_JOIN = Object.freeze({
+  SPECTATE: 'spectate',
+  REJECT: 'reject'
+});
+
+export function createLobbyState(maxPlayers = null) {
+  return { maxPlayers, locked: false, waitlist: [] };
+}
+
+export function hasFreeSlot(room) {
+  const { maxPlayers } = room.lobby;
+  return maxPlayers === null || countActivePlayers(room) < maxPlayers;
+}
+
+/**
+ * Decide how a joining player enters the room with the requested role.
+ * Returns { admit: 'player' | 'spectator' | 'presenter' | 'waitlist' } or
+ * an ack-ready rejection ({ success: false, code, error }). A known
+ * playerId keeps the role it first joined with.
+ */
+export function checkAdmission(room, playerId, { role = ROLES.PLAYER, lateJoin = LATE_JOIN.SPECTATE } = {}) {
+  const known = room.roster.get(playerId);
+  if (known) return { admit: known.role };
+
+  if (role !== ROLES.PLAYER) return { admit: role };
+
+  if (room.state !== QUIZ_STATES.WAITING) {
+    if (lateJoin === LATE_JOIN.SPECTATE) return { admit: 'spectator', reason: 'QUIZ_IN_PROGRESS' };
+    return { success: false, code: 'QUIZ_IN_PROGRESS', error: 'This quiz has already started' };
+  }
+
+  if (room.lobby.locked) {
+    return { success: false, code: 'LOBBY_LOCKED', error: 'The host has locked this lobby' };
+  }
+
+  if (!hasFreeSlot(room)) return { admit: 'waitlist', reason: 'LOBBY_FULL' };
+
+  return { admit: 'player' };
+}
+
+/**
+ * Queue a player (or refresh their socket if already queued).
+ * Returns their 1-based position.
+ */
+export function enqueue(room, playerId, playerName, socketId) {
+  const waiting = room.lobby.waitlist.find(entry => entry.playerId === playerId);
+  if (waiting) {
+    waiting.socketId = socketId;
+    waiting.playerName = playerName;
+  } else {
+    room.lobby.waitlist.push({ playerId, playerName, socketId, queuedAt: Date.now() });
+  }
+  return getWaitlistPosition(room, playerId);
+}
+
+export function dequeue(room, playerId) {
+  const index = room.lobby.waitlist.findIndex(entry => entry.playerId === playerId);
+  if (index === -1) return null;
+  return room.lobby.waitlist.splice(index, 1)[0];
+}
+
+export function dequeueSocket(room, socketId) {
+  const entry = room.lobby.waitlist.find(waiting => waiting.socketId === socketId);
+  return entry ? dequeue(room, entry.playerId) : null;
+}
+
+export function getWaitlistPosition(room, playerId) {
+  return room.lobby.waitlist.findIndex(entry => entry.playerId === playerId) + 1;
+}
+
+/**
+ * Waitlisted players that can be admitted now, in queue order
+ */
+export function takeAdmittable(room) {
+  const admitted = [];
+  if (room.state !== QUIZ_STATES.WAITING || room.lobby.locked) return admitted;
+
+  while (room.lobby.waitlist.length) {
+    const { maxPlayers } = room.lobby;
+    if (maxPlayers !== null && countActivePlayers(room) + admitted.length >= maxPlayers) break;
+    admitted.push(room.lobby.waitlist.shift());
+  }
+  return admitted;
+}
+
+export function getLobbyPayload(room) {
+  return {
+    quizCode: room.code,
+    locked: room.lobby.locked,
+    maxPlayers: room.lobby.maxPlayers,
+    playerCount: countActivePlayers(room),
+    waitlistCount: room.lobby.waitlist.length
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * Quiz Logger - Levels, JSON Output, Context
+ *
+ *   import { createLogger } from './quiz/logger.js';
+ *
+ *   const log = createLogger({ name: 'quiz' });
+ *   log.info('Created quiz', { room: 'C8UFNK', socket: 's1' });
+ *
+ *   const roomLog = log.child({ room: 'C8UFNK' }); // context on every line
+ *
+ * Text lines look like
+ *
+ *   2026-10-19T09:30:00.000Z INFO  quiz Created quiz room=C8UFNK socket=s1
+ *
+ * and JSON lines like
+ *
+ *   {"time":"2026-10-19T09:30:00.000Z","level":"info","name":"quiz","msg":"Created quiz","room":"C8UFNK","socket":"s1"}
+ *
+ * Options (each falls back to an environment variable):
+ *   level   'debug' | 'info' | 'warn' | 'error' | 'silent'   LOG_LEVEL, default: info
+ *   format  'text' | 'json'                                  LOG_FORMAT, default: text
+ *   debug   logger names that log at debug level whatever    DEBUG, e.g. 'quiz:*,server'
+ *           `level` is; '*' matches any suffix
+ *
+ * Quiz loggers are named after their socket namespace ('quiz:/quiz'),
+ * so DEBUG=quiz:/quiz traces one namespace and DEBUG=quiz:* all of them.
+ */
+
+export const LOG_LEVELS = Object.freeze({
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+});
+
+export const LOG_FORMATS = Object.freeze(['text', 'json']);
+
+const CONSOLE_METHODS = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+function matchesPattern(name, pattern) {
+  if (pattern === '*') return true;
+  if (pattern.endsWith('*')) return name.startsWith(pattern.slice(0, -1));
+  return name === pattern;
+}
+
+/**
+ * Whether DEBUG-style `patterns` ('a,b:*') cover the logger `name`
+ */
+export function isDebugEnabled(name, patterns) {
+  if (!patterns) return false;
+  const list = Array.isArray(patterns) ? patterns : String(patterns).split(',');
+  return list.map(pattern => pattern.trim()).filter(Boolean).some(pattern => matchesPattern(name, pattern));
+}
+
+function formatValue(value) {
+  if (value instanceof Error) return JSON.stringify(value.message);
+  if (typeof value === 'string') return /[\s"=]/.test(value) ? JSON.stringify(value) : value;
+  return JSON.stringify(value);
+}
+
+function toText(record) {
+  const { time, level, name, msg, ...fields } = record;
+  const pairs = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${formatValue(value)}`);
+  return [time, level.toUpperCase().padEnd(5), name, msg, ...pairs].join(' ');
+}
+
+function toJson(record) {
+  return JSON.stringify(record, (key, value) => (
+    value instanceof Error ? { message: value.message, stack: value.stack } : value
+  ));
+}
+
+function writeToConsole(level, line) {
+  console[CONSOLE_METHODS[level]](line);
+}
+
+/**
+ * Create a logger. `context` fields are added to every line; `write`
+ * replaces console output (tests, log shippers).
+ */
+export function createLogger(options = {}) {
+  const {
+    name = 'app',
+    level = process.env.LOG_LEVEL || 'info',
+    format = process.env.LOG_FORMAT || 'text',
+    debug = process.env.DEBUG,
+    context = {},
+    write = writeToConsole
+  } = options;
+
+  if (LOG_LEVELS[level] === undefined) {
+    throw new Error(`Unknown log level "${level}" (expected ${Object.keys(LOG_LEVELS).join(', ')})`);
+  }
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Unknown log format "${format}" (expected ${LOG_FORMATS.join(', ')})`);
+  }
+
+  const threshold = isDebugEnabled(name, debug) ? LOG_LEVELS.debug : LOG_LEVELS[level];
+  const serialize = format === 'json' ? toJson : toText;
+
+  function log(lineLevel, msg, fields) {
+    if (LOG_LEVELS[lineLevel] < threshold) return;
+    const record = { time: new Date().toISOString(), level: lineLevel, name, msg, ...context, ...fields };
+    write(lineLevel, serialize(record));
+  }
+
+  return {
+    name,
+    level,
+    format,
+    isLevelEnabled: lineLevel => LOG_LEVELS[lineLevel] >= threshold,
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+
+    /**
+     * Same logger with extra context, or a sub-logger when `childName`
+     * is given ('quiz' → 'quiz:timer')
+     */
+    child: (childContext = {}, childName) => createLogger({
+      ...options,
+      name: childName ? `${name}:${childName}` : name,
+      level,
+      format,
+      debug,
+      context: { ...context, ...childContext },
+      write
+    })
+  };
+}
@@ -0,0 +1,164 @@
+/**
+ * Metrics Registry - Prometheus Text Format
+ *
+ *   import { createMetricsRegistry } from './quiz/metrics.js';
+ *
+ *   const metrics = createMetricsRegistry();
+ *   const events = metrics.counter('quiz_events_total', 'Quiz events handled', ['event']);
+ *   events.inc({ event: 'join-quiz' });
+ *
+ *   metrics.histogram('quiz_handler_duration_seconds', 'Handler run time', ['event'])
+ *     .observe({ event: 'join-quiz' }, 0.0012);
+ *
+ *   // Gauges are read when scraped
+ *   metrics.gauge('quiz_rooms', 'Rooms by state', ['state'], () => [
+ *     { labels: { state: 'waiting' }, value: 3 }
+ *   ]);
+ *
+ *   metrics.render(); // → text for GET /metrics (see quiz/monitoring.js)
+ *
+ * Registering a name again returns the existing metric (gauges gain the
+ * extra collector), so several quiz namespaces can share one registry;
+ * their series differ by the `namespace` label.
+ */
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export const DEFAULT_BUCKETS = Object.freeze([0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1]);
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Labels in the metric's declared order; missing ones become ''
+ */
+function pickLabels(labelNames, labels = {}) {
+  const picked = {};
+  labelNames.forEach((name) => { picked[name] = labels[name] === undefined ? '' : labels[name]; });
+  return picked;
+}
+
+const seriesKey = labels => JSON.stringify(labels);
+
+// ============================================
+// METRIC TYPES
+// ============================================
+
+function createCounter(name, help, labelNames) {
+  const series = new Map(); // seriesKey → { labels, value }
+
+  return {
+    name,
+    type: 'counter',
+    help,
+    inc(labels, amount = 1) {
+      const picked = pickLabels(labelNames, labels);
+      const key = seriesKey(picked);
+      if (!series.has(key)) series.set(key, { labels: picked, value: 0 });
+      series.get(key).value += amount;
+    },
+    collect: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatNumber(value)}`)
+  };
+}
+
+function createGauge(name, help, labelNames) {
+  const collectors = [];
+
+  return {
+    name,
+    type: 'gauge',
+    help,
+    addCollector(fn) {
+      collectors.push(fn);
+    },
+    collect: () => collectors.flatMap(fn => fn()).map(({ labels, value }) => (
+      `${name}${formatLabels(pickLabels(labelNames, labels))} ${formatNumber(value)}`
+    ))
+  };
+}
+
+function createHistogram(name, help, labelNames, buckets) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const series = new Map(); // seriesKey → { labels, counts, sum, count }
+
+  return {
+    name,
+    type: 'histogram',
+    help,
+    observe(labels, value) {
+      const picked = pickLabels(labelNames, labels);
+      const key = seriesKey(picked);
+      if (!series.has(key)) series.set(key, { labels: picked, counts: bounds.map(() => 0), sum: 0, count: 0 });
+
+      const entry = series.get(key);
+      bounds.forEach((bound, index) => { if (value <= bound) entry.counts[index] += 1; });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    collect: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...bounds.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: formatNumber(bound) })} ${counts[index]}`),
+      `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${name}_sum${formatLabels(labels)} ${formatNumber(sum)}`,
+      `${name}_count${formatLabels(labels)} ${count}`
+    ])
+  };
+}
+
+// ============================================
+// REGISTRY
+// ============================================
+
+export function createMetricsRegistry() {
+  const metrics = new Map(); // name → metric
+
+  function register(name, type, create) {
+    const existing = metrics.get(name);
+    if (existing) {
+      if (existing.type !== type) throw new Error(`Metric ${name} is already registered as a ${existing.type}`);
+      return existing;
+    }
+    const metric = create();
+    metrics.set(name, metric);
+    return metric;
+  }
+
+  return {
+    counter: (name, help, labelNames = []) => register(name, 'counter', () => createCounter(name, help, labelNames)),
+
+    histogram: (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => (
+      register(name, 'histogram', () => createHistogram(name, help, labelNames, buckets))
+    ),
+
+    /**
+     * `collect()` returns [{ labels, value }] and runs on every scrape
+     */
+    gauge(name, help, labelNames, collect) {
+      const metric = register(name, 'gauge', () => createGauge(name, help, labelNames));
+      metric.addCollector(collect);
+      return metric;
+    },
+
+    /**
+     * All metrics in the Prometheus text exposition format
+     */
+    render() {
+      const lines = [];
+      metrics.forEach((metric) => {
+        lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.collect());
+      });
+      return lines.join('\n') + '\n';
+    }
+  };
+}
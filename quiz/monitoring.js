@@ -0,0 +1,108 @@
+/**
+ * Monitoring Endpoints - Health, Readiness, Metrics
+ *
+ * A plain HTTP server on its own port, next to the socket server (see
+ * server.js):
+ *
+ *   GET /healthz   200 while the process is up
+ *   GET /readyz    200 once listening, 503 while starting or draining
+ *   GET /metrics   Prometheus text format (see quiz/metrics.js)
+ *
+ * registerServerMetrics adds SmartSocket's own numbers (getStats() and
+ * getNamespaceStats()) and process memory to a registry; mountQuiz adds
+ * the quiz metrics to the registry it is given.
+ */
+
+import http from 'http';
+import { CONTENT_TYPE } from './metrics.js';
+
+export const MONITORING_PORT = 9090;
+
+export const MONITORING_PATHS = Object.freeze({
+  HEALTH: '/healthz',
+  READY: '/readyz',
+  METRICS: '/metrics'
+});
+
+/**
+ * Connections, throughput and latency as SmartSocket reports them
+ */
+export function registerServerMetrics(metrics, server) {
+  metrics.gauge('smartsocket_connections', 'Open socket connections', [], () => [
+    { labels: {}, value: server.getStats().connections }
+  ]);
+  metrics.gauge('smartsocket_namespace_connections', 'Open socket connections per namespace', ['namespace'], () => (
+    Object.entries(server.getNamespaceStats()).map(([namespace, stats]) => ({
+      labels: { namespace },
+      value: stats.connections
+    }))
+  ));
+  metrics.gauge('smartsocket_messages_per_second', 'Messages per second', [], () => [
+    { labels: {}, value: server.getStats().messagesPerSecond }
+  ]);
+  metrics.gauge('smartsocket_average_latency_ms', 'Average message latency in milliseconds', [], () => [
+    { labels: {}, value: server.getStats().averageLatency }
+  ]);
+  metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], () => [
+    { labels: {}, value: process.memoryUsage().rss }
+  ]);
+  metrics.gauge('process_uptime_seconds', 'Seconds since the process started', [], () => [
+    { labels: {}, value: Math.round(process.uptime()) }
+  ]);
+}
+
+function send(res, status, contentType, body) {
+  res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+  res.end(body);
+}
+
+function sendJson(res, status, payload) {
+  send(res, status, 'application/json', JSON.stringify(payload));
+}
+
+/**
+ * (req, res) handler. `isReady()` decides /readyz; requests for other
+ * paths get a 404.
+ */
+export function createMonitoringHandler({ metrics, isReady = () => true, onError = console.error }) {
+  return (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      sendJson(res, 405, { status: 'error', error: `${req.method} not allowed` });
+      return;
+    }
+
+    switch (pathname) {
+      case MONITORING_PATHS.HEALTH:
+        sendJson(res, 200, { status: 'ok', uptime: Math.round(process.uptime()) });
+        return;
+
+      case MONITORING_PATHS.READY: {
+        const ready = Boolean(isReady());
+        sendJson(res, ready ? 200 : 503, { status: ready ? 'ready' : 'not-ready' });
+        return;
+      }
+
+      case MONITORING_PATHS.METRICS:
+        try {
+          send(res, 200, CONTENT_TYPE, metrics.render());
+        } catch (err) {
+          onError(err);
+          sendJson(res, 500, { status: 'error', error: 'Metrics unavailable' });
+        }
+        return;
+
+      default:
+        sendJson(res, 404, { status: 'error', error: `Not found: ${pathname}` });
+    }
+  };
+}
+
+/**
+ * An HTTP server answering the monitoring paths. Call `.listen(port, host)`
+ * on it; options are those of createMonitoringHandler.
+ */
+export function createMonitoringServer(options) {
+  return http.createServer(createMonitoringHandler(options));
+}
@@ -0,0 +1,103 @@
+/**
+ * Player Display Names
+ *
+ * Join-time rules for display names:
+ *
+ * - Blocked words: a name is rejected when one of its words (or the
+ *   whole name with separators removed, e.g. "a.d.m.i.n") is on the
+ *   blocked list. Common look-alikes (0→o, 1→i, 3→e, 4→a, 5→s, @, $)
+ *   are folded first.
+ * - Collisions: two players in a room may not share a name (compared
+ *   case- and accent-insensitively). Depending on the room's policy the
+ *   newcomer gets a suffix ("Alice (2)") or is rejected.
+ *
+ * The blocked list is configurable (`blockedWords` option of
+ * mountQuiz). The default only stops players impersonating staff and
+ * the most common profanity; extend it for your audience.
+ */
+
+import { normalizeText } from './question-types.js';
+import { PLAYER_STATUS } from './roster.js';
+
+export const NAME_COLLISION = Object.freeze({
+  SUFFIX: 'suffix',
+  REJECT: 'reject'
+});
+
+export const MAX_NAME_LENGTH = 40;
+
+export const DEFAULT_BLOCKED_WORDS = Object.freeze([
+  'admin',
+  'administrator',
+  'moderator',
+  'host',
+  'system',
+  'fuck',
+  'shit',
+  'bitch',
+  'asshole',
+  'cunt'
+]);
+
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+function foldName(name) {
+  const unleet = String(name).replace(/[013457@$]/g, char => LOOKALIKES[char]);
+  return normalizeText(unleet);
+}
+
+/**
+ * Whether a name contains a blocked word
+ */
+export function isBlockedName(name, blockedWords = DEFAULT_BLOCKED_WORDS) {
+  const folded = foldName(name);
+  const blocked = new Set(blockedWords.map(word => foldName(word)));
+
+  if (blocked.has(folded.replace(/\s/g, ''))) return true;
+  return folded.split(' ').some(word => blocked.has(word));
+}
+
+function isTaken(room, name, playerId) {
+  const key = normalizeText(name);
+
+  for (const entry of room.roster.values()) {
+    if (entry.playerId === playerId || entry.status === PLAYER_STATUS.LEFT) continue;
+    if (normalizeText(entry.playerName) === key) return true;
+  }
+  return false;
+}
+
+/**
+ * Decide the display name a player gets in a room.
+ *
+ * Returns { success: true, playerName, adjusted } (adjusted when a suffix
+ * was added) or an ack-ready error: NAME_BLOCKED, NAME_TAKEN.
+ */
+export function resolvePlayerName(room, playerId, requestedName, options = {}) {
+  const {
+    collision = NAME_COLLISION.SUFFIX,
+    blockedWords = DEFAULT_BLOCKED_WORDS
+  } = options;
+
+  const name = String(requestedName || playerId).trim().slice(0, MAX_NAME_LENGTH);
+
+  if (isBlockedName(name, blockedWords)) {
+    return { success: false, code: 'NAME_BLOCKED', error: 'That name is not allowed - pick another one' };
+  }
+
+  if (!isTaken(room, name, playerId)) {
+    return { success: true, playerName: name, adjusted: false };
+  }
+
+  if (collision === NAME_COLLISION.REJECT) {
+    return { success: false, code: 'NAME_TAKEN', error: `${name} is already playing - pick another name` };
+  }
+
+  for (let n = 2; ; n++) {
+    const suffix = ` (${n})`;
+    const candidate = name.slice(0, MAX_NAME_LENGTH - suffix.length) + suffix;
+    if (!isTaken(room, candidate, playerId)) {
+      return { success: true, playerName: candidate, adjusted: true };
+    }
+  }
+}
@@ -0,0 +1,265 @@
+/**
+ * Quiz Question Types
+ *
+ * Question schema (answer keys are stripped before broadcast):
+ *
+ *   single      { type: 'single', text, options: [...], correctAnswer: 1 }
+ *   multi       { type: 'multi', text, options: [...], correctAnswer: [0, 2] }
+ *   true-false  { type: 'true-false', text, correctAnswer: true }
+ *   numeric     { type: 'numeric', text, correctAnswer: 9.81, tolerance: 0.05 }
+ *   text        { type: 'text', text, correctAnswer: 'Paris',
+ *                 acceptedAnswers: ['Paris, France'], matching: 'fuzzy' }
+ *   ordering    { type: 'ordering', text, items: [...], correctAnswer: [2, 0, 1] }
+ *
+ * `type` defaults to 'single' ('multi' for an array answer key,
+ * 'true-false' for a boolean one). A question without an answer key is
+ * accepted but never scores.
+ *
+ * Each type provides:
+ *   validateQuestion(question) → array of error messages
+ *   validateAnswer(question, answer) → error message or null
+ *   grade(question, answer) → credit from 0 to 1
+ */
+
+const TEXT_MATCHING = ['exact', 'normalized', 'fuzzy'];
+
+function hasKey(question) {
+  return question.correctAnswer !== undefined;
+}
+
+function isIndex(value, length) {
+  return Number.isInteger(value) && value >= 0 && value < length;
+}
+
+function isIndexList(value, length) {
+  return Array.isArray(value) && value.every(index => isIndex(index, length));
+}
+
+function validateOptions(question) {
+  if (!Array.isArray(question.options) || question.options.length < 2) {
+    return ['options must be an array with at least 2 entries'];
+  }
+  return [];
+}
+
+/**
+ * Lowercase, trim, strip accents and punctuation, collapse whitespace
+ */
+export function normalizeText(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+export const QUESTION_TYPES = Object.freeze({
+  single: {
+    validateQuestion(question) {
+      const errors = validateOptions(question);
+      if (hasKey(question) && !errors.length && !isIndex(question.correctAnswer, question.options.length)) {
+        errors.push('correctAnswer must be an option index');
+      }
+      return errors;
+    },
+    validateAnswer(question, answer) {
+      const length = Array.isArray(question.options) ? question.options.length : 0;
+      return isIndex(answer, length) ? null : 'answer must be an option index';
+    },
+    grade(question, answer) {
+      return answer === question.correctAnswer ? 1 : 0;
+    }
+  },
+
+  multi: {
+    validateQuestion(question) {
+      const errors = validateOptions(question);
+      if (hasKey(question) && !errors.length &&
+          (!isIndexList(question.correctAnswer, question.options.length) || !question.correctAnswer.length)) {
+        errors.push('correctAnswer must be a non-empty array of option indexes');
+      }
+      return errors;
+    },
+    validateAnswer(question, answer) {
+      const length = Array.isArray(question.options) ? question.options.length : 0;
+      return isIndexList(answer, length) ? null : 'answer must be an array of option indexes';
+    },
+    // Each correct option chosen earns credit, each wrong one takes it back
+    grade(question, answer) {
+      const expected = new Set(question.correctAnswer);
+      let hits = 0;
+      let misses = 0;
+      new Set(answer).forEach(choice => (expected.has(choice) ? hits++ : misses++));
+      return Math.max(0, (hits - misses) / expected.size);
+    }
+  },
+
+  'true-false': {
+    validateQuestion(question) {
+      return hasKey(question) && typeof question.correctAnswer !== 'boolean'
+        ? ['correctAnswer must be true or false']
+        : [];
+    },
+    validateAnswer(question, answer) {
+      return typeof answer === 'boolean' ? null : 'answer must be true or false';
+    },
+    grade(question, answer) {
+      return answer === question.correctAnswer ? 1 : 0;
+    }
+  },
+
+  numeric: {
+    validateQuestion(question) {
+      const errors = [];
+      if (hasKey(question) && !Number.isFinite(question.correctAnswer)) {
+        errors.push('correctAnswer must be a number');
+      }
+      if (question.tolerance !== undefined && !(Number.isFinite(question.tolerance) && question.tolerance >= 0)) {
+        errors.push('tolerance must be a non-negative number');
+      }
+      return errors;
+    },
+    validateAnswer(question, answer) {
+      return Number.isFinite(answer) ? null : 'answer must be a number';
+    },
+    grade(question, answer) {
+      const tolerance = question.tolerance || 0;
+      return Math.abs(answer - question.correctAnswer) <= tolerance ? 1 : 0;
+    }
+  },
+
+  text: {
+    validateQuestion(question) {
+      const errors = [];
+      if (hasKey(question) && typeof question.correctAnswer !== 'string') {
+        errors.push('correctAnswer must be a string');
+      }
+      if (question.acceptedAnswers !== undefined &&
+          !(Array.isArray(question.acceptedAnswers) && question.acceptedAnswers.every(a => typeof a === 'string'))) {
+        errors.push('acceptedAnswers must be an array of strings');
+      }
+      if (question.matching !== undefined && !TEXT_MATCHING.includes(question.matching)) {
+        errors.push(`matching must be one of ${TEXT_MATCHING.join(', ')}`);
+      }
+      if (question.maxDistance !== undefined && !(Number.isInteger(question.maxDistance) && question.maxDistance >= 0)) {
+        errors.push('maxDistance must be a non-negative integer');
+      }
+      return errors;
+    },
+    validateAnswer(question, answer) {
+      return typeof answer === 'string' && answer.length <= 500 ? null : 'answer must be a string of at most 500 characters';
+    },
+    grade(question, answer) {
+      const matching = question.matching || 'normalized';
+      const accepted = [question.correctAnswer, ...(question.acceptedAnswers || [])];
+
+      if (matching === 'exact') {
+        return accepted.includes(answer) ? 1 : 0;
+      }
+
+      const given = normalizeText(answer);
+      return accepted.some((candidate) => {
+        const expected = normalizeText(candidate);
+        if (matching === 'normalized') return given === expected;
+
+        // Fuzzy: allow roughly one typo per five characters by default
+        const maxDistance = question.maxDistance !== undefined
+          ? question.maxDistance
+          : Math.floor(expected.length / 5);
+        return editDistance(given, expected) <= maxDistance;
+      }) ? 1 : 0;
+    }
+  },
+
+  ordering: {
+    validateQuestion(question) {
+      if (!Array.isArray(question.items) || question.items.length < 2) {
+        return ['items must be an array with at least 2 entries'];
+      }
+      const length = question.items.length;
+      if (hasKey(question) &&
+          !(isIndexList(question.correctAnswer, length) &&
+            question.correctAnswer.length === length &&
+            new Set(question.correctAnswer).size === length)) {
+        return ['correctAnswer must list every item index exactly once'];
+      }
+      return [];
+    },
+    validateAnswer(question, answer) {
+      const length = Array.isArray(question.items) ? question.items.length : 0;
+      return isIndexList(answer, length) && answer.length === length && new Set(answer).size === length
+        ? null
+        : 'answer must list every item index exactly once';
+    },
+    // Credit for each item in its correct position
+    grade(question, answer) {
+      const inPlace = question.correctAnswer.filter((item, position) => answer[position] === item).length;
+      return inPlace / question.correctAnswer.length;
+    }
+  }
+});
+
+/**
+ * The question's type, inferred from its answer key when not given
+ */
+export function getQuestionType(question) {
+  if (question.type) return question.type;
+  if (Array.isArray(question.correctAnswer)) return 'multi';
+  if (typeof question.correctAnswer === 'boolean') return 'true-false';
+  return 'single';
+}
+
+/**
+ * The question's type definition, or null. Types come from clients, so
+ * only the table's own keys count ('constructor', 'toString', ...).
+ */
+function getDefinition(question) {
+  const type = getQuestionType(question);
+  return Object.hasOwn(QUESTION_TYPES, type) ? QUESTION_TYPES[type] : null;
+}
+
+export function validateQuestion(question) {
+  const definition = getDefinition(question);
+
+  if (!definition) {
+    return [`unknown question type: ${getQuestionType(question)}. Use one of ${Object.keys(QUESTION_TYPES).join(', ')}`];
+  }
+  return definition.validateQuestion(question);
+}
+
+export function validateAnswer(question, answer) {
+  const definition = getDefinition(question);
+  return definition ? definition.validateAnswer(question, answer) : 'unknown question type';
+}
+
+/**
+ * Credit from 0 to 1 for an answer that passed validateAnswer()
+ */
+export function gradeAnswer(question, answer) {
+  const definition = getDefinition(question);
+  if (!definition || !hasKey(question)) return 0;
+  return definition.grade(question, answer);
+}
@@ -0,0 +1,103 @@
+/**
+ * Quiz Question Sets
+ *
+ * The host sends the full question set (including answer keys) with
+ * `quiz-started`. The server keeps that copy and only ever broadcasts
+ * player-facing questions with the answer keys removed. The correct
+ * answer is released in the `show-answer` broadcast.
+ *
+ * Per-type schemas and grading live in quiz/question-types.js.
+ */
+
+import { getQuestionType, validateQuestion, validateAnswer, gradeAnswer } from './question-types.js';
+
+// Fields that must never reach players before the reveal
+export const ANSWER_KEY_FIELDS = Object.freeze([
+  'correctAnswer',
+  'correctIndex',
+  'acceptedAnswers',
+  'explanation'
+]);
+
+/**
+ * Validate and copy the host's question set.
+ *
+ * Returns { success: true, questions } (questions is null when the host
+ * sent no question set) or an ack-ready error listing every invalid
+ * question as `fields: [{ field, message }]`.
+ */
+export function normalizeQuestions(questions) {
+  if (questions === undefined) return { success: true, questions: null };
+
+  if (!Array.isArray(questions)) {
+    return { success: false, code: 'INVALID_QUESTIONS', error: 'questions must be an array' };
+  }
+
+  const fields = [];
+  const normalized = questions.map((question, index) => {
+    if (!question || typeof question !== 'object') {
+      fields.push({ field: `questions[${index}]`, message: 'must be an object' });
+      return null;
+    }
+
+    // Older hosts send `correctIndex` for single-choice questions
+    const copy = { ...question, index };
+    if (copy.correctAnswer === undefined && copy.correctIndex !== undefined) {
+      copy.correctAnswer = copy.correctIndex;
+    }
+    copy.type = getQuestionType(copy);
+
+    validateQuestion(copy).forEach((message) => {
+      fields.push({ field: `questions[${index}]`, message });
+    });
+    return copy;
+  });
+
+  if (fields.length) {
+    return { success: false, code: 'INVALID_QUESTIONS', error: 'Question set is invalid', fields };
+  }
+  return { success: true, questions: normalized };
+}
+
+/**
+ * Shallow copy of `object` without any answer key fields
+ */
+export function stripAnswerKeys(object) {
+  const copy = { ...object };
+  for (const field of ANSWER_KEY_FIELDS) {
+    delete copy[field];
+  }
+  return copy;
+}
+
+/**
+ * Player-facing copy of a question without its answer key
+ */
+export function toPlayerQuestion(question) {
+  return question ? stripAnswerKeys(question) : null;
+}
+
+/**
+ * The correct answer for a question (`correctAnswer`, or the older
+ * `correctIndex` field). Undefined when the host sent no key.
+ */
+export function getAnswerKey(question) {
+  if (!question) return undefined;
+  return question.correctAnswer !== undefined ? question.correctAnswer : question.correctIndex;
+}
+
+/**
+ * Check an answer's shape against the question type.
+ * Returns an error message, or null when the answer is well-formed.
+ * Without a question set (legacy hosts) any answer is accepted.
+ */
+export function checkAnswer(question, answer) {
+  return question ? validateAnswer(question, answer) : null;
+}
+
+/**
+ * Share of the answer that is correct, from 0 to 1
+ */
+export function getCredit(question, answer) {
+  return question ? gradeAnswer(question, answer) : 0;
+}
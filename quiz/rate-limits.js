@@ -0,0 +1,126 @@
+/**
+ * Quiz Rate Limits - Token Buckets, Presence Debounce, Auto-Kick
+ *
+ * Limits use SmartSocket's `setEventRateLimit` shape, per canonical quiz
+ * event: at most `maxRequests` per `window` ms, refilled continuously.
+ *
+ * Two layers share the table:
+ * - mountQuiz keeps one token bucket per socket and event. An event over
+ *   its limit is dropped before validation; the socket gets
+ *   `__rate-limited__` and an offense. `maxOffenses` offenses inside
+ *   `offenseWindowMs` disconnect the socket (players keep their resume
+ *   window, see quiz/sessions.js).
+ * - applyServerRateLimits registers the same events, with headroom, with
+ *   SmartSocket's own limiter as a backstop (server.js).
+ *
+ * Presence pings are debounced separately (PRESENCE_DEBOUNCE_MS), and
+ * only a player's first answer per question is ever accepted.
+ */
+
+export const PRESENCE_DEBOUNCE_MS = 5000;
+export const MAX_RATE_LIMIT_OFFENSES = 5;
+export const OFFENSE_WINDOW_MS = 60 * 1000;
+
+// SmartSocket's `rate-limit` event does not say which limit tripped
+export const SERVER_RETRY_AFTER_MS = 5000;
+
+const CONTROL_LIMIT = { window: 10 * 1000, maxRequests: 10 };
+const JOIN_LIMIT = { window: 60 * 1000, maxRequests: 10 };
+
+export const QUIZ_RATE_LIMITS = Object.freeze({
+  'player-answered': { window: 10 * 1000, maxRequests: 10 },
+  'player-present': { window: 10 * 1000, maxRequests: 5 },
+
+  'join-quiz': JOIN_LIMIT,
+  'resume-quiz': JOIN_LIMIT,
+  'create-quiz': JOIN_LIMIT,
+  'host-joined': JOIN_LIMIT,
+  'rename-player': JOIN_LIMIT,
+  'authenticate': JOIN_LIMIT,
+
+  'quiz-started': CONTROL_LIMIT,
+  'next-question': CONTROL_LIMIT,
+  'skip-question': CONTROL_LIMIT,
+  'show-answer': CONTROL_LIMIT,
+  'show-results': CONTROL_LIMIT,
+  'end-quiz': CONTROL_LIMIT,
+  'timer-start': CONTROL_LIMIT,
+  'lock-lobby': CONTROL_LIMIT,
+  'unlock-lobby': CONTROL_LIMIT,
+  'set-max-players': CONTROL_LIMIT,
+  'add-co-host': CONTROL_LIMIT,
+  'remove-co-host': CONTROL_LIMIT,
+  'transfer-host': CONTROL_LIMIT
+});
+
+/**
+ * Per-socket token buckets and offense counts
+ */
+export function createRateLimiter({
+  limits = QUIZ_RATE_LIMITS,
+  maxOffenses = MAX_RATE_LIMIT_OFFENSES,
+  offenseWindowMs = OFFENSE_WINDOW_MS
+} = {}) {
+  const buckets = new Map();  // socketId → Map(event → { tokens, updatedAt })
+  const offenses = new Map(); // socketId → offense timestamps
+
+  return {
+    maxOffenses,
+
+    /**
+     * Spend a token for `event`. Returns { allowed: true } or
+     * { allowed: false, retryAfterMs }. Events without a limit are free.
+     */
+    take(socketId, event) {
+      const limit = limits[event];
+      if (!limit) return { allowed: true };
+
+      const now = Date.now();
+      const perMs = limit.maxRequests / limit.window;
+      if (!buckets.has(socketId)) buckets.set(socketId, new Map());
+      const socketBuckets = buckets.get(socketId);
+      const bucket = socketBuckets.get(event) || { tokens: limit.maxRequests, updatedAt: now };
+
+      bucket.tokens = Math.min(limit.maxRequests, bucket.tokens + (now - bucket.updatedAt) * perMs);
+      bucket.updatedAt = now;
+      socketBuckets.set(event, bucket);
+
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return { allowed: true };
+      }
+      return { allowed: false, retryAfterMs: Math.ceil((1 - bucket.tokens) / perMs) };
+    },
+
+    /**
+     * Count an offense; returns how many fall inside the offense window
+     */
+    recordOffense(socketId) {
+      const now = Date.now();
+      const recent = (offenses.get(socketId) || []).filter(at => now - at < offenseWindowMs);
+      recent.push(now);
+      offenses.set(socketId, recent);
+      return recent.length;
+    },
+
+    forget(socketId) {
+      buckets.delete(socketId);
+      offenses.delete(socketId);
+    }
+  };
+}
+
+/**
+ * Register the limits, and their aliases, with SmartSocket's per-event
+ * limiter. `headroom` multiplies maxRequests so the quiz buckets (which
+ * send the notice and count offenses) normally trip first.
+ */
+export function applyServerRateLimits(server, { limits = QUIZ_RATE_LIMITS, aliases = {}, headroom = 2 } = {}) {
+  Object.entries(limits).forEach(([event, limit]) => {
+    const names = [event, ...Object.keys(aliases).filter(alias => aliases[alias] === event)];
+    names.forEach(name => server.setEventRateLimit(name, {
+      window: limit.window,
+      maxRequests: limit.maxRequests * headroom
+    }));
+  });
+}
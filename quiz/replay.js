@@ -0,0 +1,328 @@
+/**
+ * Quiz Event Log Replay
+ *
+ * Rebuilds room state from an event log (see quiz/event-log.js) by
+ * running every logged inbound event through a fresh quiz module, in
+ * order, at the time it was logged:
+ *
+ *   import { replayEventLog } from './quiz/replay.js';
+ *
+ *   const { rooms, outbound, mismatches } = replayEventLog(quiz.eventLog.read('C8UFNK'));
+ *
+ * Replays are deterministic: a virtual clock stands in for Date.now and
+ * setTimeout while they run, so deadlines, resume windows and room
+ * expiry fire exactly when they did, and room codes come from the log.
+ * Redacted secrets are filled in from the replayed room (resume tokens
+ * for players whose resume or rejoin was accepted, the presenter key for
+ * accepted presenter screens, host keys for accepted `host-joined`).
+ *
+ * `mismatches` lists inbound events whose replayed ack differs from the
+ * logged one in `success` or `code` - after a handler change, a
+ * non-empty list means the change alters how recorded games play out.
+ *
+ * The replay mounts its own quiz module with its own timers, so a room
+ * can be replayed while it is still live in the same process. From the
+ * command line:
+ *
+ *   node quiz/replay.js data/quiz-events/C8UFNK.jsonl
+ */
+
+import fs from 'fs';
+import { pathToFileURL } from 'url';
+import { mountQuiz } from './index.js';
+import { createMemoryRoomStore } from './room-store.js';
+import { createMemoryEventLog, REDACTED } from './event-log.js';
+import { createLogger } from './logger.js';
+
+// ============================================
+// VIRTUAL CLOCK
+// ============================================
+
+/**
+ * A clock that only moves when told to. Timers fire in due order as
+ * `advanceTo` passes them.
+ */
+export function createVirtualClock(startAt = 0) {
+  let now = startAt;
+  let nextId = 1;
+  const timers = new Set();
+
+  function setTimer(fn, ms = 0, ...args) {
+    const timer = {
+      id: nextId++,
+      dueAt: now + Math.max(0, Number(ms) || 0),
+      run: () => fn(...args),
+      unref: () => timer,
+      ref: () => timer
+    };
+    timers.add(timer);
+    return timer;
+  }
+
+  function nextDue(time) {
+    let due = null;
+    timers.forEach((timer) => {
+      if (timer.dueAt > time) return;
+      if (!due || timer.dueAt < due.dueAt || (timer.dueAt === due.dueAt && timer.id < due.id)) due = timer;
+    });
+    return due;
+  }
+
+  return {
+    now: () => now,
+    setTimeout: setTimer,
+    clearTimeout: (timer) => { timers.delete(timer); },
+    advanceTo(time) {
+      let timer = nextDue(time);
+      while (timer) {
+        timers.delete(timer);
+        now = Math.max(now, timer.dueAt);
+        timer.run();
+        timer = nextDue(time);
+      }
+      now = Math.max(now, time);
+    }
+  };
+}
+
+/**
+ * Run `fn` with Date.now, setTimeout and clearTimeout taken from `clock`
+ */
+export function withClock(clock, fn) {
+  const saved = { now: Date.now, setTimeout: globalThis.setTimeout, clearTimeout: globalThis.clearTimeout };
+
+  Date.now = clock.now;
+  globalThis.setTimeout = clock.setTimeout;
+  globalThis.clearTimeout = clock.clearTimeout;
+  try {
+    return fn();
+  } finally {
+    Date.now = saved.now;
+    globalThis.setTimeout = saved.setTimeout;
+    globalThis.clearTimeout = saved.clearTimeout;
+  }
+}
+
+// ============================================
+// REPLAY NAMESPACE
+// ============================================
+
+/**
+ * The part of a SmartSocket namespace the quiz module uses, in process.
+ * Everything emitted to a socket is collected in `sent`.
+ */
+function createReplayNamespace() {
+  const handlers = new Map(); // event → handlers
+  const middleware = [];
+  const sockets = new Map();  // socketId → socket
+  const rooms = new Map();    // room → Set(socketId)
+  const server = { rooms };
+  const sent = [];
+
+  function fire(event, ...args) {
+    (handlers.get(event) || []).forEach(handler => handler(...args));
+  }
+
+  function createSocket(id) {
+    const joined = new Set();
+    const socket = {
+      id,
+      data: {},
+      server,
+      join(room) {
+        joined.add(room);
+        if (!rooms.has(room)) rooms.set(room, new Set());
+        rooms.get(room).add(id);
+      },
+      leave(room) {
+        joined.delete(room);
+        const members = rooms.get(room);
+        if (!members) return;
+        members.delete(id);
+        if (!members.size) rooms.delete(room);
+      },
+      emit(event, payload) {
+        sent.push({ at: Date.now(), socketId: id, event, data: payload });
+      },
+      leaveAll: () => [...joined].forEach(room => socket.leave(room))
+    };
+    return socket;
+  }
+
+  const namespace = {
+    on(event, handler) {
+      if (!handlers.has(event)) handlers.set(event, []);
+      handlers.get(event).push(handler);
+    },
+    use(fn) {
+      middleware.push(fn);
+    },
+    to: room => ({
+      emit(event, payload) {
+        (rooms.get(room) || new Set()).forEach(socketId => sockets.get(socketId).emit(event, payload));
+      }
+    }),
+    emit(event, payload) {
+      sockets.forEach(socket => socket.emit(event, payload));
+    }
+  };
+
+  return {
+    namespace,
+    sent,
+
+    socket(id) {
+      if (!sockets.has(id)) {
+        sockets.set(id, createSocket(id));
+        fire('connected', sockets.get(id));
+      }
+      return sockets.get(id);
+    },
+
+    /**
+     * Run an event through the middleware and its handlers.
+     * Returns the ack (undefined when the event was rejected or not acked).
+     */
+    dispatch(socket, event, data) {
+      let acked;
+      let index = 0;
+      const next = (err) => {
+        if (err) return;
+        if (index < middleware.length) {
+          middleware[index++](socket, event, data, next);
+          return;
+        }
+        (handlers.get(event) || []).forEach(handler => handler(socket, data, (response) => { acked = response; }));
+      };
+      next();
+      return acked;
+    },
+
+    disconnect(id) {
+      const socket = sockets.get(id);
+      if (!socket) return;
+      fire('disconnected', socket);
+      socket.leaveAll();
+      sockets.delete(id);
+    }
+  };
+}
+
+// ============================================
+// REPLAY
+// ============================================
+
+/**
+ * The logged payload with redacted secrets taken from the replayed rooms
+ */
+function restoreSecrets(quiz, entry) {
+  const data = { ...entry.data };
+  const ack = entry.ack || {};
+  const room = quiz.getRoom(data.quizCode);
+
+  if (entry.event === 'resume-quiz' && data.resumeToken === REDACTED && ack.success && room) {
+    const session = room.sessions.get(ack.snapshot.playerId);
+    if (session) data.resumeToken = session.token;
+  }
+
+  if (entry.event === 'join-quiz' && data.presenterKey === REDACTED && ack.success && room) {
+    data.presenterKey = room.presenterKey;
+  }
+
+  if (entry.event === 'join-quiz' && data.resumeToken === REDACTED && ack.success && room) {
+    const session = room.sessions.get(data.playerId);
+    if (session) data.resumeToken = session.token;
+  }
+
+  if (entry.event === 'host-joined' && data.hostKey === REDACTED && ack.success && room) {
+    data.hostKey = room.hosts.keys.get(data.hostId);
+  }
+  return data;
+}
+
+function sameOutcome(logged, replayed) {
+  if (!logged && !replayed) return true;
+  if (!logged || !replayed) return false;
+  return logged.success === replayed.success && logged.code === replayed.code;
+}
+
+/**
+ * Replay the inbound entries of one or more room logs.
+ * `options.mountOptions` are passed on to mountQuiz (use the live
+ * server's settings, e.g. resumeGraceMs).
+ *
+ * Returns { rooms, outbound, mismatches, quiz }.
+ */
+export function replayEventLog(entries, options = {}) {
+  const inbound = entries.filter(entry => entry.direction === 'in');
+  const createdCodes = inbound
+    .filter(entry => entry.event === 'create-quiz' && entry.ack && entry.ack.success)
+    .map(entry => entry.ack.quizCode);
+
+  const clock = createVirtualClock(inbound.length ? inbound[0].at : 0);
+  const harness = createReplayNamespace();
+  const mismatches = [];
+
+  const quiz = withClock(clock, () => {
+    const mounted = mountQuiz(harness.namespace, {
+      logger: createLogger({ name: 'replay', level: 'silent', debug: null }),
+      ...options.mountOptions,
+      store: createMemoryRoomStore(),
+      eventLog: createMemoryEventLog(),
+      generateCode: isTaken => createdCodes.find(code => !isTaken(code))
+    });
+
+    inbound.forEach((entry, index) => {
+      clock.advanceTo(entry.at);
+
+      if (entry.event === 'disconnected') {
+        harness.disconnect(entry.socketId);
+        return;
+      }
+
+      const socket = harness.socket(entry.socketId);
+      const ack = harness.dispatch(socket, entry.event, restoreSecrets(mounted, entry));
+
+      if (!sameOutcome(entry.ack, ack)) {
+        mismatches.push({ index, at: entry.at, event: entry.event, logged: entry.ack, replayed: ack });
+      }
+    });
+
+    return mounted;
+  });
+
+  return {
+    rooms: quiz.listRooms(),
+    outbound: harness.sent,
+    mismatches,
+    quiz
+  };
+}
+
+// ============================================
+// COMMAND LINE
+// ============================================
+
+function summarize(room) {
+  return {
+    quizCode: room.code,
+    state: room.state,
+    questionIndex: room.questionIndex,
+    players: [...room.roster.values()].map(({ playerId, playerName, role, status }) => ({ playerId, playerName, role, status })),
+    scores: [...room.scores.values()].map(({ playerId, score }) => ({ playerId, score }))
+  };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const file = process.argv[2];
+  if (!file) {
+    console.error('Usage: node quiz/replay.js <room-log.jsonl>');
+    process.exit(1);
+  }
+
+  const entries = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  const { rooms, mismatches } = replayEventLog(entries);
+
+  console.log(JSON.stringify({ rooms: rooms.map(summarize), mismatches }, null, 2));
+  process.exit(mismatches.length ? 2 : 0);
+}
@@ -0,0 +1,189 @@
+/**
+ * Quiz Results Report
+ *
+ * Per-player, per-question results built from the room's answer log
+ * (`room.answers`), for teachers to download once a quiz is over:
+ *
+ *   {
+ *     quizCode, state, createdAt, generatedAt,
+ *     questions: [{ questionIndex, text, type, correctAnswer, answered, correctCount }],
+ *     players: [{
+ *       rank, playerId, playerName, status, score, correctCount,
+ *       answers: [{ questionIndex, answered, answer, answerText,
+ *                   correct, credit, points, responseMs }]
+ *     }]
+ *   }
+ *
+ * `answerText` is the answer as a person reads it (option text instead
+ * of an index). The CSV export has one row per player and question.
+ */
+
+import { getAnswerKey } from './questions.js';
+
+export const RESULT_FORMATS = Object.freeze(['json', 'csv']);
+
+const CSV_COLUMNS = [
+  'quizCode',
+  'rank',
+  'playerId',
+  'playerName',
+  'score',
+  'questionIndex',
+  'question',
+  'answer',
+  'correctAnswer',
+  'correct',
+  'points',
+  'responseMs'
+];
+
+/**
+ * An answer (or answer key) as text: option labels for choice and
+ * ordering questions, the raw value otherwise
+ */
+function describeAnswer(question, answer) {
+  if (answer === undefined || answer === null) return '';
+
+  const labels = question && (question.options || question.items);
+  if (labels && Number.isInteger(answer)) return String(labels[answer] ?? answer);
+  if (labels && Array.isArray(answer)) return answer.map(index => labels[index] ?? index).join(' | ');
+  if (Array.isArray(answer)) return answer.join(' | ');
+  return String(answer);
+}
+
+/**
+ * Question indexes to report: the whole question set, or only the
+ * questions that got answers when the host sent none
+ */
+function getQuestionIndexes(room) {
+  if (room.questions) return room.questions.map((question, index) => index);
+  return [...room.answers.keys()].sort((a, b) => a - b);
+}
+
+function getPlayerAnswer(room, question, questionIndex, playerId) {
+  const answers = room.answers.get(questionIndex);
+  const record = answers ? answers.get(playerId) : null;
+
+  if (!record) {
+    return {
+      questionIndex,
+      answered: false,
+      answer: null,
+      answerText: '',
+      correct: false,
+      credit: 0,
+      points: 0,
+      responseMs: null
+    };
+  }
+
+  return {
+    questionIndex,
+    answered: true,
+    answer: record.answer,
+    answerText: describeAnswer(question, record.answer),
+    correct: record.correct,
+    credit: record.credit,
+    points: record.settled ? record.points : 0,
+    responseMs: record.responseMs
+  };
+}
+
+/**
+ * Build the report. `leaderboard` supplies the ranking so it matches
+ * what players saw.
+ */
+export function buildResultsReport(room, leaderboard) {
+  const indexes = getQuestionIndexes(room);
+  const questionAt = index => (room.questions ? room.questions[index] : null);
+
+  const players = leaderboard.map(({ rank, playerId, playerName, score }) => {
+    const answers = indexes.map(index => getPlayerAnswer(room, questionAt(index), index, playerId));
+    const entry = room.roster.get(playerId);
+
+    return {
+      rank,
+      playerId,
+      playerName,
+      status: entry ? entry.status : null,
+      score,
+      correctCount: answers.filter(answer => answer.correct).length,
+      answers
+    };
+  });
+
+  const questions = indexes.map((index) => {
+    const question = questionAt(index);
+    const answers = room.answers.get(index) || new Map();
+
+    return {
+      questionIndex: index,
+      text: question ? question.text : null,
+      type: question ? question.type : null,
+      correctAnswer: describeAnswer(question, getAnswerKey(question)),
+      answered: answers.size,
+      correctCount: [...answers.values()].filter(record => record.correct).length
+    };
+  });
+
+  return {
+    quizCode: room.code,
+    state: room.state,
+    createdAt: new Date(room.createdAt).toISOString(),
+    generatedAt: new Date().toISOString(),
+    questions,
+    players
+  };
+}
+
+/**
+ * Quote a CSV cell when needed. Text that a spreadsheet could run as a
+ * formula (starting with = + - @, tab or CR) gets a leading apostrophe;
+ * only plain numbers such as -5 or -9.8 are left alone.
+ */
+function toCsvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toResultsCsv(report) {
+  const rows = [CSV_COLUMNS];
+  const questions = new Map(report.questions.map(question => [question.questionIndex, question]));
+
+  report.players.forEach((player) => {
+    player.answers.forEach((answer) => {
+      const question = questions.get(answer.questionIndex);
+      rows.push([
+        report.quizCode,
+        player.rank,
+        player.playerId,
+        player.playerName,
+        player.score,
+        answer.questionIndex,
+        question ? question.text : '',
+        answer.answerText,
+        question ? question.correctAnswer : '',
+        answer.answered ? answer.correct : '',
+        answer.points,
+        answer.responseMs
+      ]);
+    });
+  });
+
+  return rows.map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Download-ready payload for one format
+ */
+export function formatResults(report, format = 'json') {
+  const csv = format === 'csv';
+  return {
+    quizCode: report.quizCode,
+    format,
+    filename: `quiz-${report.quizCode}-results.${csv ? 'csv' : 'json'}`,
+    contentType: csv ? 'text/csv' : 'application/json',
+    content: csv ? toResultsCsv(report) : report
+  };
+}
@@ -0,0 +1,51 @@
+/**
+ * Quiz Roles
+ *
+ * Everyone in a quiz room has one role, and each role gets its own
+ * stream on top of the room-wide broadcasts (questions, state, reveals,
+ * leaderboard):
+ *
+ *   player     answers and scores; gets a private `answer-result` per question
+ *   host       runs the quiz (create-quiz / host-joined, incl. co-hosts);
+ *              gets live `answer-stats`
+ *   spectator  watches only - never answers, scores or takes a player slot
+ *   presenter  the big screen: like a spectator, plus the current question
+ *              on join and live `answer-stats`
+ *
+ * Players, spectators and presenters join with `join-quiz`. Presenter
+ * screens need the room's presenter key, which only hosts receive, so a
+ * player cannot open one to watch the answer distribution.
+ */
+
+import { randomBytes } from 'crypto';
+
+export const ROLES = Object.freeze({
+  PLAYER: 'player',
+  HOST: 'host',
+  SPECTATOR: 'spectator',
+  PRESENTER: 'presenter'
+});
+
+export const JOIN_ROLES = Object.freeze([ROLES.PLAYER, ROLES.SPECTATOR, ROLES.PRESENTER]);
+
+/**
+ * Roles that receive live answer statistics
+ */
+export const STATS_ROLES = Object.freeze([ROLES.HOST, ROLES.PRESENTER]);
+
+export function createPresenterKey() {
+  return randomBytes(18).toString('base64url');
+}
+
+/**
+ * The role a join-quiz payload asks for; `spectate: true` is kept as
+ * shorthand for role 'spectator'
+ */
+export function getRequestedRole({ role, spectate }) {
+  if (role) return role;
+  return spectate ? ROLES.SPECTATOR : ROLES.PLAYER;
+}
+
+export function canAnswer(role) {
+  return role === ROLES.PLAYER;
+}
@@ -0,0 +1,67 @@
+/**
+ * Quiz Room Codes
+ *
+ * Codes are issued by the server with `create-quiz`; clients can no
+ * longer open a room by inventing a code. Codes are read aloud and typed
+ * on phones, so the alphabet leaves out look-alikes (0/O, 1/I).
+ *
+ * A room with nobody connected expires after an idle delay and its code
+ * goes back into the pool.
+ */
+
+import { randomInt } from 'crypto';
+
+export const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+export const CODE_LENGTH = 6;
+export const ROOM_IDLE_MS = 5 * 60 * 1000;
+
+const MAX_ATTEMPTS = 100;
+
+/**
+ * A fresh code that `isTaken(code)` does not report as in use
+ */
+export function generateRoomCode(isTaken, length = CODE_LENGTH) {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    let code = '';
+    for (let i = 0; i < length; i++) {
+      code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+    }
+    if (!isTaken(code)) return code;
+  }
+  throw new Error(`Could not find a free room code after ${MAX_ATTEMPTS} attempts`);
+}
+
+/**
+ * Room expiry for one mountQuiz, with that mount's timers
+ */
+export function createRoomExpiry() {
+  const expiryTimers = new Map(); // quizCode → Timeout
+
+  function cancelRoomExpiry(room) {
+    const timer = expiryTimers.get(room.code);
+    if (timer) {
+      clearTimeout(timer);
+      expiryTimers.delete(room.code);
+    }
+  }
+
+  return {
+    /**
+     * Expire the room after `idleMs` unless cancelled first.
+     * `onExpire(room)` should delete the room from the store.
+     */
+    scheduleRoomExpiry(room, onExpire, idleMs = ROOM_IDLE_MS) {
+      cancelRoomExpiry(room);
+
+      const timer = setTimeout(() => {
+        expiryTimers.delete(room.code);
+        onExpire(room);
+      }, idleMs);
+
+      if (typeof timer.unref === 'function') timer.unref();
+      expiryTimers.set(room.code, timer);
+    },
+
+    cancelRoomExpiry
+  };
+}
@@ -0,0 +1,152 @@
+/**
+ * Quiz Room Store - Pluggable Persistence
+ *
+ * Handlers never keep rooms in a module-level Map; they go through a
+ * room store so rooms, players, answers and results can survive a
+ * process restart. Every store implements the same interface:
+ *
+ *   get(code)        → room | undefined
+ *   has(code)        → boolean
+ *   save(room)       → persist the room (keyed by room.code)
+ *   delete(code)     → forget the room
+ *   list()           → array of all rooms
+ *   flush()          → Promise, resolves once pending writes are on disk
+ *
+ * Rooms are plain data (objects, arrays, Maps and Sets) so they can be
+ * inspected and serialized; timers and sockets are never stored on them.
+ * Each mountQuiz keeps its timers in Maps keyed by room code, made by
+ * the factories in quiz/timers.js, quiz/sessions.js, quiz/room-codes.js
+ * and quiz/answer-stats.js.
+ *
+ * Backends:
+ * - createMemoryRoomStore() - process memory only (tests, development)
+ * - createFileRoomStore({ dir }) - one JSON file per room
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// ============================================
+// SERIALIZATION (Map / Set aware JSON)
+// ============================================
+
+function replacer(key, value) {
+  if (value instanceof Map) return { __type: 'Map', entries: [...value] };
+  if (value instanceof Set) return { __type: 'Set', values: [...value] };
+  return value;
+}
+
+function reviver(key, value) {
+  if (value && value.__type === 'Map') return new Map(value.entries);
+  if (value && value.__type === 'Set') return new Set(value.values);
+  return value;
+}
+
+export function serializeRoom(room) {
+  return JSON.stringify(room, replacer);
+}
+
+export function deserializeRoom(json) {
+  return JSON.parse(json, reviver);
+}
+
+// ============================================
+// IN-MEMORY STORE
+// ============================================
+
+export function createMemoryRoomStore() {
+  const rooms = new Map();
+
+  return {
+    get: code => rooms.get(code),
+    has: code => rooms.has(code),
+    save(room) {
+      rooms.set(room.code, room);
+    },
+    delete(code) {
+      rooms.delete(code);
+    },
+    list: () => [...rooms.values()],
+    flush: () => Promise.resolve()
+  };
+}
+
+// ============================================
+// FILE STORE
+// ============================================
+
+/**
+ * One `<code>.json` file per room in `dir`. Rooms are loaded
+ * synchronously when the store is created; writes are batched and
+ * written atomically (temp file + rename) after `flushDelayMs`.
+ */
+export function createFileRoomStore({ dir, flushDelayMs = 100, onError = console.error } = {}) {
+  if (!dir) throw new Error('createFileRoomStore requires a dir');
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  const rooms = new Map();
+  const dirty = new Set();
+  let flushTimer = null;
+  let writing = Promise.resolve();
+
+  const fileFor = code => path.join(dir, `${encodeURIComponent(code)}.json`);
+
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      const room = deserializeRoom(fs.readFileSync(path.join(dir, file), 'utf8'));
+      rooms.set(room.code, room);
+    } catch (err) {
+      onError(new Error(`Skipping unreadable room file ${file}: ${err.message}`));
+    }
+  }
+
+  async function writeRoom(code) {
+    const file = fileFor(code);
+    const room = rooms.get(code);
+
+    if (!room) {
+      await fs.promises.rm(file, { force: true });
+      return;
+    }
+
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, serializeRoom(room));
+    await fs.promises.rename(tmp, file);
+  }
+
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+
+    const codes = [...dirty];
+    dirty.clear();
+
+    writing = writing.then(() => Promise.all(codes.map(code => writeRoom(code).catch(onError))));
+    return writing.then(() => undefined);
+  }
+
+  function markDirty(code) {
+    dirty.add(code);
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, flushDelayMs);
+      if (typeof flushTimer.unref === 'function') flushTimer.unref();
+    }
+  }
+
+  return {
+    get: code => rooms.get(code),
+    has: code => rooms.has(code),
+    save(room) {
+      rooms.set(room.code, room);
+      markDirty(room.code);
+    },
+    delete(code) {
+      rooms.delete(code);
+      markDirty(code);
+    },
+    list: () => [...rooms.values()],
+    flush
+  };
+}
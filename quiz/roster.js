@@ -0,0 +1,130 @@
+/**
+ * Quiz Room Roster
+ *
+ * Who is in a quiz, keyed by playerId (never by socket, so duplicate
+ * tabs and reconnects do not inflate the count):
+ *
+ *   { playerId, playerName, role, status, muted, verified, joinedAt }
+ *
+ *   role    'player' | 'spectator' | 'presenter' - see quiz/roles.js
+ *   status  'connected' | 'disconnected' (inside the resume window) |
+ *           'left' (gone, kept so results stay complete)
+ *   muted   set by an admin (see quiz/admin.js): the player stays in the
+ *           room but may not answer or rename
+ *   verified   joined with a signed token (see quiz/auth.js): joining as
+ *              this playerId needs a token from then on
+ *
+ * Scores stay in room.scores; roster payloads merge them in.
+ */
+
+import { ROLES } from './roles.js';
+
+export const PLAYER_STATUS = Object.freeze({
+  CONNECTED: 'connected',
+  DISCONNECTED: 'disconnected',
+  LEFT: 'left'
+});
+
+export function createRoster() {
+  return new Map(); // playerId → roster entry
+}
+
+/**
+ * Add a player, or reconnect one already on the roster.
+ * Returns { entry, added, renamed }.
+ */
+export function addPlayer(room, playerId, playerName, role = ROLES.PLAYER) {
+  const existing = room.roster.get(playerId);
+
+  if (existing) {
+    const renamed = Boolean(playerName) && playerName !== existing.playerName;
+    if (renamed) renamePlayer(room, playerId, playerName);
+    existing.status = PLAYER_STATUS.CONNECTED;
+    return { entry: existing, added: false, renamed };
+  }
+
+  const entry = {
+    playerId,
+    playerName: playerName || playerId,
+    role,
+    status: PLAYER_STATUS.CONNECTED,
+    muted: false,
+    verified: false,
+    joinedAt: Date.now()
+  };
+  room.roster.set(playerId, entry);
+  return { entry, added: true, renamed: false };
+}
+
+/**
+ * Change a player's display name everywhere it is shown
+ */
+export function renamePlayer(room, playerId, playerName) {
+  const entry = room.roster.get(playerId);
+  if (!entry) return null;
+
+  entry.playerName = playerName;
+  const score = room.scores.get(playerId);
+  if (score) score.playerName = playerName;
+  return entry;
+}
+
+export function setPlayerStatus(room, playerId, status) {
+  const entry = room.roster.get(playerId);
+  if (entry) entry.status = status;
+  return entry || null;
+}
+
+export function setPlayerMuted(room, playerId, muted) {
+  const entry = room.roster.get(playerId);
+  if (entry) entry.muted = muted;
+  return entry || null;
+}
+
+export function isPlayerMuted(room, playerId) {
+  const entry = room.roster.get(playerId);
+  return Boolean(entry && entry.muted);
+}
+
+export function removePlayer(room, playerId) {
+  const entry = room.roster.get(playerId);
+  room.roster.delete(playerId);
+  return entry || null;
+}
+
+/**
+ * Roster entry with the player's current score
+ */
+export function getRosterEntry(room, playerId) {
+  const entry = room.roster.get(playerId);
+  if (!entry) return null;
+
+  const score = room.scores.get(playerId);
+  return { ...entry, score: score ? score.score : 0 };
+}
+
+/**
+ * Full roster in join order
+ */
+export function getRoster(room) {
+  return [...room.roster.keys()]
+    .map(playerId => getRosterEntry(room, playerId))
+    .sort((a, b) => a.joinedAt - b.joinedAt);
+}
+
+/**
+ * A player currently in the quiz (not a spectator or presenter, and not
+ * one who left)
+ */
+export function isActivePlayer(room, playerId) {
+  const entry = room.roster.get(playerId);
+  return Boolean(entry) && entry.role === ROLES.PLAYER && entry.status !== PLAYER_STATUS.LEFT;
+}
+
+export function countActivePlayers(room) {
+  let count = 0;
+  room.roster.forEach((entry, playerId) => {
+    if (isActivePlayer(room, playerId)) count++;
+  });
+  return count;
+}
@@ -0,0 +1,203 @@
+/**
+ * Quiz Event Payload Schemas
+ *
+ * Every inbound quiz event has a declarative schema: one field spec per
+ * accepted field.
+ *
+ *   type       'string' | 'number' | 'integer' | 'boolean' | 'array' |
+ *              'object' | 'any', or an array of these
+ *   required   field must be present
+ *   maxLength  longest string allowed
+ *   min, max   number bounds
+ *   maxItems   longest array allowed
+ *   maxBytes   largest JSON size allowed (questions, results, answers)
+ *   values     the only values allowed
+ *
+ * Payloads are checked before any handler runs (see handle() in
+ * quiz/index.js) and refused in the sender's ack. Handlers only ever
+ * see the fields listed here; anything else the client sends is
+ * dropped, never relayed.
+ */
+
+import { MIN_DURATION_SECONDS, MAX_DURATION_SECONDS } from './timers.js';
+import { MAX_PLAYERS_LIMIT } from './lobby.js';
+import { JOIN_ROLES } from './roles.js';
+import { RESULT_FORMATS } from './results.js';
+import { MAX_TOKEN_LENGTH } from './auth.js';
+
+export const MAX_QUESTIONS = 200;
+export const MAX_QUESTIONS_BYTES = 256 * 1024;
+
+const QUIZ_CODE = { type: 'string', required: true, maxLength: 32 };
+const PLAYER_ID = { type: 'string', required: true, maxLength: 64 };
+const PLAYER_NAME = { type: 'string', maxLength: 40 };
+const HOST_ID = { type: 'string', required: true, maxLength: 64 };
+const QUESTION_INDEX = { type: 'integer', min: 0 };
+const ANSWER = { type: 'any', maxBytes: 4096 };
+const MAX_PLAYERS = { type: 'integer', min: 1, max: MAX_PLAYERS_LIMIT };
+
+export const EVENT_SCHEMAS = Object.freeze({
+  'authenticate': { token: { type: 'string', required: true, maxLength: MAX_TOKEN_LENGTH } },
+
+  'join-quiz': {
+    quizCode: QUIZ_CODE,
+    playerId: PLAYER_ID,
+    playerName: PLAYER_NAME,
+    role: { type: 'string', values: JOIN_ROLES },
+    spectate: { type: 'boolean' },
+    presenterKey: { type: 'string', maxLength: 64 },
+    resumeToken: { type: 'string', maxLength: 128 }
+  },
+  'resume-quiz': { quizCode: QUIZ_CODE, resumeToken: { type: 'string', required: true, maxLength: 128 } },
+  'rename-player': { quizCode: QUIZ_CODE, playerName: { ...PLAYER_NAME, required: true } },
+  'leave-quiz': { quizCode: QUIZ_CODE },
+
+  'create-quiz': { hostId: HOST_ID, maxPlayers: MAX_PLAYERS },
+  'host-joined': { quizCode: QUIZ_CODE, hostId: HOST_ID, hostKey: { type: 'string', maxLength: 64 } },
+  'add-co-host': { quizCode: QUIZ_CODE, hostId: HOST_ID },
+  'remove-co-host': { quizCode: QUIZ_CODE, hostId: HOST_ID },
+  'transfer-host': { quizCode: QUIZ_CODE, hostId: HOST_ID },
+  'lock-lobby': { quizCode: QUIZ_CODE },
+  'unlock-lobby': { quizCode: QUIZ_CODE },
+  'set-max-players': { quizCode: QUIZ_CODE, maxPlayers: MAX_PLAYERS },
+
+  'quiz-started': {
+    quizCode: QUIZ_CODE,
+    questions: { type: 'array', maxItems: MAX_QUESTIONS, maxBytes: MAX_QUESTIONS_BYTES },
+    scoring: { type: ['string', 'object'], maxBytes: 1024 },
+    projectMode: { type: 'boolean' }
+  },
+  'timer-start': {
+    quizCode: QUIZ_CODE,
+    duration: { type: 'number', required: true, min: MIN_DURATION_SECONDS, max: MAX_DURATION_SECONDS }
+  },
+  'next-question': { quizCode: QUIZ_CODE, questionIndex: QUESTION_INDEX },
+  'skip-question': { quizCode: QUIZ_CODE, questionIndex: QUESTION_INDEX },
+  'show-answer': { quizCode: QUIZ_CODE, questionIndex: QUESTION_INDEX },
+  'show-results': { quizCode: QUIZ_CODE, results: { type: 'any', maxBytes: 64 * 1024 } },
+  'end-quiz': { quizCode: QUIZ_CODE },
+
+  'player-answered': {
+    quizCode: QUIZ_CODE,
+    playerId: { type: 'string', maxLength: 64 },
+    questionIndex: QUESTION_INDEX,
+    answer: ANSWER,
+    answerIndex: { type: 'integer', min: 0 }
+  },
+  'player-present': { quizCode: QUIZ_CODE },
+  'get-players': { quizCode: QUIZ_CODE },
+  'get-results': { quizCode: QUIZ_CODE, format: { type: 'string', values: RESULT_FORMATS } }
+});
+
+/**
+ * Admin namespace events (see quiz/admin.js)
+ */
+const REASON = { type: 'string', maxLength: 200 };
+
+export const ADMIN_SCHEMAS = Object.freeze({
+  'admin-login': {
+    adminKey: { type: 'string', required: true, maxLength: 256 },
+    adminName: { type: 'string', maxLength: 64 }
+  },
+  'list-rooms': {},
+  'get-roster': { quizCode: QUIZ_CODE },
+  'kick-player': { quizCode: QUIZ_CODE, playerId: PLAYER_ID, reason: REASON },
+  'mute-player': { quizCode: QUIZ_CODE, playerId: PLAYER_ID, muted: { type: 'boolean' }, reason: REASON },
+  'force-end': { quizCode: QUIZ_CODE, reason: REASON },
+  'announce': { quizCode: { ...QUIZ_CODE, required: false }, message: { type: 'string', required: true, maxLength: 500 } },
+  'get-results': { quizCode: QUIZ_CODE, format: { type: 'string', values: RESULT_FORMATS } },
+  'get-audit-log': { quizCode: { ...QUIZ_CODE, required: false }, limit: { type: 'integer', min: 1, max: 1000 } }
+});
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'any') return true;
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  if (type === 'object') return typeOf(value) === 'object';
+  return typeOf(value) === type;
+}
+
+function checkField(value, spec) {
+  const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+  if (!types.some(type => matchesType(value, type))) {
+    return `must be of type ${types.join(' or ')}`;
+  }
+
+  if (spec.maxLength !== undefined && typeof value === 'string' && value.length > spec.maxLength) {
+    return `must be at most ${spec.maxLength} characters`;
+  }
+  if (typeof value === 'string' && spec.required && !value.trim()) {
+    return 'must not be empty';
+  }
+  if (spec.min !== undefined && typeof value === 'number' && value < spec.min) {
+    return `must be at least ${spec.min}`;
+  }
+  if (spec.max !== undefined && typeof value === 'number' && value > spec.max) {
+    return `must be at most ${spec.max}`;
+  }
+  if (spec.maxItems !== undefined && Array.isArray(value) && value.length > spec.maxItems) {
+    return `must have at most ${spec.maxItems} items`;
+  }
+  if (spec.values !== undefined && !spec.values.includes(value)) {
+    return `must be one of ${spec.values.join(', ')}`;
+  }
+  if (spec.maxBytes !== undefined && JSON.stringify(value).length > spec.maxBytes) {
+    return `must be at most ${spec.maxBytes} bytes`;
+  }
+  return null;
+}
+
+/**
+ * Check a payload against a schema.
+ * Returns null when it is valid, or an ack-ready error listing every
+ * invalid field as `fields: [{ field, message }]`.
+ */
+export function validatePayload(schema, payload) {
+  const fields = [];
+
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return {
+      success: false,
+      code: 'INVALID_PAYLOAD',
+      error: 'Payload must be an object',
+      fields: [{ field: '(payload)', message: 'must be an object' }]
+    };
+  }
+
+  for (const [field, spec] of Object.entries(schema)) {
+    const value = payload[field];
+
+    if (value === undefined || value === null) {
+      if (spec.required) fields.push({ field, message: 'is required' });
+      continue;
+    }
+
+    const message = checkField(value, spec);
+    if (message) fields.push({ field, message });
+  }
+
+  if (!fields.length) return null;
+  return {
+    success: false,
+    code: 'INVALID_PAYLOAD',
+    error: fields.map(({ field, message }) => `${field} ${message}`).join('; '),
+    fields
+  };
+}
+
+/**
+ * Copy of the payload with only the fields the schema declares
+ */
+export function pickFields(schema, payload) {
+  const picked = {};
+  for (const field of Object.keys(schema)) {
+    if (payload[field] !== undefined) picked[field] = payload[field];
+  }
+  return picked;
+}
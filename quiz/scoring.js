@@ -0,0 +1,131 @@
+/**
+ * Quiz Scoring Strategies
+ *
+ * Each quiz picks a named strategy with `quiz-started`:
+ *
+ *   { scoring: 'speed' }
+ *   { scoring: { strategy: 'streak', options: { points: 20 } } }
+ *
+ * Strategies are pure functions of the answer context:
+ *
+ *   credit      0..1 - share of the answer that is correct (1 = fully correct)
+ *   responseMs  server-measured time from question start to answer
+ *   windowMs    time the player had to answer
+ *   streak      consecutive fully-correct answers, including this one
+ *
+ * Only `partial` awards points for partly correct answers; every other
+ * strategy treats anything below full credit as wrong.
+ */
+
+export const DEFAULT_STRATEGY = 'flat';
+
+const DEFAULT_WINDOW_MS = 30000;
+
+function isFullCredit(context) {
+  return context.credit >= 1;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+export const SCORING_STRATEGIES = Object.freeze({
+  /**
+   * Fixed points for a correct answer
+   */
+  flat: {
+    defaults: { points: 10 },
+    score(context, options) {
+      return isFullCredit(context) ? options.points : 0;
+    }
+  },
+
+  /**
+   * Linear decay from maxPoints (instant answer) to minPoints (answer at
+   * the end of the window). Uses server-measured latency only.
+   */
+  speed: {
+    defaults: { maxPoints: 100, minPoints: 50, windowMs: DEFAULT_WINDOW_MS },
+    score(context, options) {
+      if (!isFullCredit(context)) return 0;
+
+      const windowMs = context.windowMs > 0 ? context.windowMs : options.windowMs;
+      if (!(windowMs > 0)) return options.maxPoints;
+
+      const elapsed = clamp(context.responseMs || 0, 0, windowMs);
+      const remaining = 1 - elapsed / windowMs;
+      return Math.round(options.minPoints + (options.maxPoints - options.minPoints) * remaining);
+    }
+  },
+
+  /**
+   * Fixed points multiplied by a growing streak bonus:
+   * 1×, 1.5×, 2×, ... capped at maxMultiplier
+   */
+  streak: {
+    defaults: { points: 10, bonusPerStreak: 0.5, maxMultiplier: 3 },
+    score(context, options) {
+      if (!isFullCredit(context)) return 0;
+
+      const streak = Math.max(1, context.streak || 1);
+      const multiplier = Math.min(options.maxMultiplier, 1 + options.bonusPerStreak * (streak - 1));
+      return Math.round(options.points * multiplier);
+    }
+  },
+
+  /**
+   * Points proportional to credit - for multi-select and ordering questions
+   */
+  partial: {
+    defaults: { points: 10 },
+    score(context, options) {
+      const credit = clamp(context.credit || 0, 0, 1);
+      return Math.round(options.points * credit);
+    }
+  }
+});
+
+/**
+ * Resolve the `scoring` field of `quiz-started` into { strategy, options }.
+ * Returns an ack-ready error result for unknown strategies or bad options.
+ */
+export function resolveScoring(config) {
+  if (config === undefined || config === null) {
+    return resolveScoring(DEFAULT_STRATEGY);
+  }
+
+  // Only own keys: 'toString' or 'constructor' must not pass as strategies
+  const strategy = typeof config === 'string' ? config : config.strategy;
+  const definition = Object.hasOwn(SCORING_STRATEGIES, strategy) ? SCORING_STRATEGIES[strategy] : null;
+
+  if (!definition) {
+    return {
+      success: false,
+      code: 'INVALID_SCORING',
+      error: `Unknown scoring strategy: ${strategy}. Use one of ${Object.keys(SCORING_STRATEGIES).join(', ')}`
+    };
+  }
+
+  const options = { ...definition.defaults };
+  const overrides = typeof config === 'object' && config.options ? config.options : {};
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!Object.hasOwn(definition.defaults, key)) {
+      return { success: false, code: 'INVALID_SCORING', error: `Unknown ${strategy} scoring option: ${key}` };
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      return { success: false, code: 'INVALID_SCORING', error: `${strategy} scoring option ${key} must be a non-negative number` };
+    }
+    options[key] = value;
+  }
+
+  return { success: true, scoring: { strategy, options } };
+}
+
+/**
+ * Points for one answer under the room's scoring config
+ */
+export function scoreAnswer(scoring, context) {
+  const definition = SCORING_STRATEGIES[scoring.strategy];
+  return definition.score(context, scoring.options);
+}
@@ -0,0 +1,116 @@
+/**
+ * Player Sessions - Reconnect & Resume
+ *
+ * `join-quiz` issues a resume token. When a player's socket drops, the
+ * session is kept for a grace window; a new socket that sends
+ * `resume-quiz` with the token inside that window takes over the
+ * player's identity, score and room.
+ *
+ * Sessions live on the room (`room.sessions`, playerId → session).
+ */
+
+import { randomBytes } from 'crypto';
+
+export const RESUME_GRACE_MS = 60000;
+
+export function findSessionByToken(room, token) {
+  if (typeof token !== 'string' || !token) return null;
+
+  for (const session of room.sessions.values()) {
+    if (session.token === token) return session;
+  }
+  return null;
+}
+
+export function findSessionBySocket(room, socketId) {
+  for (const session of room.sessions.values()) {
+    if (session.socketId === socketId) return session;
+  }
+  return null;
+}
+
+/**
+ * Session calls for one mountQuiz, with that mount's grace timers
+ */
+export function createSessions() {
+  const graceTimers = new Map(); // `${quizCode}:${playerId}` → Timeout
+
+  const timerKey = (room, playerId) => `${room.code}:${playerId}`;
+
+  function clearGraceTimer(room, playerId) {
+    const key = timerKey(room, playerId);
+    const timer = graceTimers.get(key);
+    if (timer) {
+      clearTimeout(timer);
+      graceTimers.delete(key);
+    }
+  }
+
+  return {
+    /**
+     * Start a fresh session for a player and return its resume token
+     */
+    openSession(room, playerId, socketId) {
+      clearGraceTimer(room, playerId);
+
+      const session = {
+        playerId,
+        token: randomBytes(24).toString('base64url'),
+        socketId,
+        connected: true,
+        disconnectedAt: null
+      };
+      room.sessions.set(playerId, session);
+      return session;
+    },
+
+    /**
+     * Mark a session as dropped. `onExpire(room, session)` runs if the
+     * player has not resumed when the grace window ends.
+     */
+    suspendSession(room, session, onExpire, graceMs = RESUME_GRACE_MS) {
+      session.connected = false;
+      session.socketId = null;
+      session.disconnectedAt = Date.now();
+
+      clearGraceTimer(room, session.playerId);
+      const timer = setTimeout(() => {
+        graceTimers.delete(timerKey(room, session.playerId));
+        room.sessions.delete(session.playerId);
+        onExpire(room, session);
+      }, graceMs);
+
+      if (typeof timer.unref === 'function') timer.unref();
+      graceTimers.set(timerKey(room, session.playerId), timer);
+    },
+
+    /**
+     * Bind a session to a new socket
+     */
+    resumeSession(room, session, socketId) {
+      clearGraceTimer(room, session.playerId);
+      session.socketId = socketId;
+      session.connected = true;
+      session.disconnectedAt = null;
+      return session;
+    },
+
+    /**
+     * Drop one player's session and grace timer (the player was removed)
+     */
+    closeSession(room, playerId) {
+      clearGraceTimer(room, playerId);
+      room.sessions.delete(playerId);
+    },
+
+    /**
+     * Drop every session and grace timer for a room
+     */
+    closeSessions(room) {
+      for (const playerId of room.sessions.keys()) {
+        clearGraceTimer(room, playerId);
+      }
+      room.sessions.clear();
+    }
+  };
+}
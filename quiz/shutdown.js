@@ -0,0 +1,47 @@
+/**
+ * Quiz Shutdown - Draining Rooms Before a Restart
+ *
+ * mountQuiz(...).shutdown() drains a namespace before the process exits
+ * (server.js calls it on SIGTERM / SIGINT):
+ *
+ *   1. every event from then on is refused with SERVER_RESTARTING, so
+ *      rooms stop changing (question timers stop closing questions too)
+ *   2. every room gets `server-restarting` with a retry hint
+ *   3. the room store and event log are flushed, until the deadline
+ *
+ * Event handlers run to completion and ack synchronously, so no event
+ * is half-handled when the drain starts; only the writes are waited for.
+ *
+ * Rooms are saved as they were when the drain started - open questions
+ * keep their deadline and players their resume sessions - so the next
+ * process picks them up (see restoreRooms in quiz/index.js).
+ */
+
+export const SHUTDOWN_TIMEOUT_MS = 10 * 1000;
+export const RESTART_RETRY_AFTER_MS = 5 * 1000;
+
+/**
+ * The ack for events refused while draining
+ */
+export function getRestartingError(retryAfterMs) {
+  return {
+    success: false,
+    code: 'SERVER_RESTARTING',
+    error: 'The server is restarting, try again shortly',
+    retryAfterMs
+  };
+}
+
+/**
+ * Resolves true once `promise` has settled, or false when `deadline`
+ * (epoch ms) passes first
+ */
+export function settleBefore(promise, deadline) {
+  let timer;
+  const expired = new Promise((resolve) => {
+    timer = setTimeout(resolve, Math.max(0, deadline - Date.now()), false);
+  });
+
+  return Promise.race([promise.then(() => true, () => true), expired])
+    .finally(() => clearTimeout(timer));
+}
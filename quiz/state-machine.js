@@ -0,0 +1,101 @@
+/**
+ * Quiz Lifecycle - Server-Authoritative State Machine
+ *
+ * Every quiz room moves through a fixed lifecycle:
+ *
+ *   waiting → question-open → answer-revealed → results → finished
+ *
+ * Control events sent by clients (`quiz-started`, `next-question`, ...)
+ * are checked against the transition table below before the server
+ * broadcasts anything. An event that is not valid in the room's current
+ * state is rejected, so a stale client can no longer push `next-question`
+ * after `end-quiz`.
+ */
+
+export const QUIZ_STATES = Object.freeze({
+  WAITING: 'waiting',
+  QUESTION_OPEN: 'question-open',
+  ANSWER_REVEALED: 'answer-revealed',
+  RESULTS: 'results',
+  FINISHED: 'finished'
+});
+
+const { WAITING, QUESTION_OPEN, ANSWER_REVEALED, RESULTS, FINISHED } = QUIZ_STATES;
+
+/**
+ * Allowed transitions per control event.
+ * `advance: true` moves the room to the next question.
+ */
+const TRANSITIONS = {
+  'quiz-started': { from: [WAITING], to: QUESTION_OPEN },
+  'next-question': { from: [QUESTION_OPEN, ANSWER_REVEALED], to: QUESTION_OPEN, advance: true },
+  'skip-question': { from: [QUESTION_OPEN, ANSWER_REVEALED], to: QUESTION_OPEN, advance: true },
+  'show-answer': { from: [QUESTION_OPEN], to: ANSWER_REVEALED },
+  'show-results': { from: [QUESTION_OPEN, ANSWER_REVEALED], to: RESULTS },
+  'end-quiz': { from: [WAITING, QUESTION_OPEN, ANSWER_REVEALED, RESULTS], to: FINISHED }
+};
+
+export const CONTROL_EVENTS = Object.freeze(Object.keys(TRANSITIONS));
+
+/**
+ * Check whether `event` is allowed in the room's current state.
+ */
+export function canTransition(room, event) {
+  const rule = TRANSITIONS[event];
+  return Boolean(rule && rule.from.includes(room.state));
+}
+
+/**
+ * Apply a control event to a room.
+ *
+ * Mutates `room.state` and `room.questionIndex` on success.
+ * Returns an ack-ready result:
+ *   { success: true, from, to, questionIndex }
+ *   { success: false, code, error }
+ */
+export function transition(room, event, data = {}) {
+  const rule = TRANSITIONS[event];
+
+  if (!rule) {
+    return { success: false, code: 'UNKNOWN_EVENT', error: `Unknown control event: ${event}` };
+  }
+
+  if (!rule.from.includes(room.state)) {
+    return {
+      success: false,
+      code: 'INVALID_TRANSITION',
+      error: `Cannot ${event} while quiz is ${room.state}`
+    };
+  }
+
+  let questionIndex = room.questionIndex;
+
+  if (event === 'quiz-started') {
+    questionIndex = 0;
+  } else if (rule.advance) {
+    questionIndex = Number.isInteger(data.questionIndex) ? data.questionIndex : room.questionIndex + 1;
+
+    if (questionIndex <= room.questionIndex) {
+      return {
+        success: false,
+        code: 'STALE_QUESTION',
+        error: `Question ${questionIndex} is not after current question ${room.questionIndex}`
+      };
+    }
+
+    if (room.questionCount !== null && questionIndex >= room.questionCount) {
+      return {
+        success: false,
+        code: 'NO_MORE_QUESTIONS',
+        error: `Quiz has only ${room.questionCount} questions`
+      };
+    }
+  }
+
+  const from = room.state;
+  room.state = rule.to;
+  room.questionIndex = questionIndex;
+  room.updatedAt = Date.now();
+
+  return { success: true, from, to: room.state, questionIndex };
+}
@@ -0,0 +1,82 @@
+/**
+ * Quiz Question Timers
+ *
+ * The server owns one question deadline per room. Clients get the
+ * authoritative `endsAt` timestamp and only render a countdown; the
+ * server closes the question itself when the deadline passes.
+ */
+
+export const MIN_DURATION_SECONDS = 1;
+export const MAX_DURATION_SECONDS = 3600;
+
+/**
+ * Question timers for one mountQuiz. Each mount has its own, so two
+ * namespaces (or a replay) that issue the same room code never clear
+ * each other's deadlines.
+ */
+export function createQuestionTimers() {
+  const questionTimers = new Map(); // quizCode → Timeout
+
+  function arm(room, delayMs, onExpire) {
+    const timer = setTimeout(() => {
+      questionTimers.delete(room.code);
+      onExpire(room);
+    }, delayMs);
+
+    // Never keep the process alive just for a quiz timer
+    if (typeof timer.unref === 'function') timer.unref();
+    questionTimers.set(room.code, timer);
+  }
+
+  /**
+   * Cancel the room's timer and forget its deadline
+   */
+  function clearQuestionTimer(room) {
+    const timer = questionTimers.get(room.code);
+    if (timer) {
+      clearTimeout(timer);
+      questionTimers.delete(room.code);
+    }
+    room.questionDeadline = null;
+  }
+
+  return {
+    /**
+     * Start (or restart) the question timer for a room.
+     * `onExpire(room)` runs once when the deadline passes.
+     *
+     * `room.questionStartedAt` stays when the question opened, so
+     * response times are measured from the same point whenever the
+     * timer starts.
+     */
+    startQuestionTimer(room, durationSeconds, onExpire) {
+      clearQuestionTimer(room);
+
+      const durationMs = durationSeconds * 1000;
+      room.questionDeadline = Date.now() + durationMs;
+      arm(room, durationMs, onExpire);
+      return room.questionDeadline;
+    },
+
+    /**
+     * Re-arm the timer for a room loaded from the store, keeping its
+     * original deadline. Expires immediately if the deadline has passed.
+     */
+    restoreQuestionTimer(room, onExpire) {
+      arm(room, Math.max(0, room.questionDeadline - Date.now()), onExpire);
+    },
+
+    clearQuestionTimer,
+
+    hasQuestionTimer: room => questionTimers.has(room.code)
+  };
+}
+
+export function isPastDeadline(room, at = Date.now()) {
+  return room.questionDeadline !== null && at > room.questionDeadline;
+}
+
+export function getRemainingMs(room, at = Date.now()) {
+  if (room.questionDeadline === null) return null;
+  return Math.max(0, room.questionDeadline - at);
+}
@@ -13,266 +13,264 @@
  */
 
 import SmartSocket from '../smartsocket/index.js';
+import { mountQuiz } from './quiz/index.js';
+import { createMemoryRoomStore, createFileRoomStore } from './quiz/room-store.js';
+import { createMemoryEventLog, createFileEventLog } from './quiz/event-log.js';
+import { createLogger } from './quiz/logger.js';
+import { loadConfig } from './quiz/config.js';
+import { createMetricsRegistry } from './quiz/metrics.js';
+import { createMonitoringServer, registerServerMetrics } from './quiz/monitoring.js';
+import { mountAdmin } from './quiz/admin.js';
+import { createMemoryAuditLog, createFileAuditLog } from './quiz/audit-log.js';
+import { applyServerRateLimits, SERVER_RETRY_AFTER_MS } from './quiz/rate-limits.js';
+import { EVENT_ALIASES } from './quiz/dialects.js';
 
 // ============================================
 // SERVER CONFIGURATION
 // ============================================
+// Defaults, then quiz.config.json (or QUIZ_CONFIG), then environment
+// variables such as PORT, HOST, QUIZ_STORE and LOG_LEVEL - see
+// quiz/config.js. Logging: LOG_LEVEL (debug | info | warn | error |
+// silent), LOG_FORMAT (text | json) and DEBUG (e.g. DEBUG=quiz:/quiz
+// traces every broadcast in /quiz) - see quiz/logger.js.
 
-const server = new SmartSocket({
-  enableNamespaces: true,
-  secure: false // Set to true with SSL for production
-});
+let config;
+try {
+  config = loadConfig();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const log = createLogger({ name: 'server', ...config.log });
+const namespaceName = config.quiz.namespace;
 
 // ============================================
-// STARTUP BANNER (Print immediately)
+// MONITORING
 // ============================================
+// /healthz, /readyz and /metrics are served on their own port,
+// server.monitoringPort (QUIZ_MONITORING_PORT, default 9090) - see
+// quiz/monitoring.js. server.monitoring=false (QUIZ_MONITORING) turns
+// them off.
 
-console.log(`
-╔═══════════════════════════════════════════════╗
-║      SmartSocket - Quiz Auto-Broadcasting    ║
-╠═══════════════════════════════════════════════╣
-║ ✅ Server started                             ║
-║ 📍 Address: 0.0.0.0                          ║
-║ 🔌 Port: 8080                                ║
-║ 📡 Namespace: /quiz                           ║
-║ 🔄 Auto-broadcast: ENABLED                    ║
-║ 📊 Ready for simultaneous quizzes             ║
-╚═══════════════════════════════════════════════╝
-`);
+const metrics = createMetricsRegistry();
+let ready = false; // listening and not draining
+
+const monitoringServer = config.server.monitoring
+  ? createMonitoringServer({
+    metrics,
+    isReady: () => ready,
+    onError: err => log.error(`Metrics failed: ${err.message}`, { stack: err.stack })
+  })
+  : null;
+
+const server = new SmartSocket({
+  host: config.server.host,
+  port: config.server.port,
+  enableNamespaces: config.server.enableNamespaces,
+  secure: config.server.secure, // Set to true with SSL for production
+  enableRateLimiting: config.quiz.rateLimits
+});
+
+registerServerMetrics(metrics, server);
 
 // ============================================
 // QUIZ NAMESPACE
 // ============================================
 
-console.log('[DEBUG] Creating quiz namespace...');
-console.log(`[DEBUG] server exists: ${!!server}`);
-console.log(`[DEBUG] server.namespace exists: ${typeof server.namespace}`);
-
 // GUARD: Only create namespace once per server instance
 let quizNS;
 if (!server._quizNamespaceInitialized) {
-  console.log('[DEBUG] Initializing /quiz namespace...');
+  log.debug(`Initializing ${namespaceName} namespace`);
   try {
-    quizNS = server.namespace('/quiz');
+    quizNS = server.namespace(namespaceName);
     server._quizNamespaceInitialized = true;
-    console.log('[DEBUG] ✅ /quiz namespace created');
+    log.debug(`${namespaceName} namespace created`);
   } catch (err) {
-    console.error('[DEBUG] ❌ Error creating namespace:', err.message);
+    log.error(`Error creating ${namespaceName} namespace: ${err.message}`, { stack: err.stack });
     quizNS = null;
   }
 } else {
-  console.log('[DEBUG] Using existing /quiz namespace');
-  quizNS = server.namespaceManager.namespaces.get('/quiz');
+  log.debug(`Using existing ${namespaceName} namespace`);
+  quizNS = server.namespaceManager.namespaces.get(namespaceName);
 }
 
 // ============================================
-// 1. ROOM MANAGEMENT - Add socket to room when joining
+// QUIZ MODULE
 // ============================================
+// All quiz handlers live in quiz/index.js and accept both event
+// dialects (see quiz/dialects.js).
+//
+// Rooms live in a room store (see quiz/room-store.js) so live quizzes
+// survive a restart. QUIZ_STORE=memory disables persistence.
+//
+// Every room's events go to an event log (see quiz/event-log.js);
+// replay one with `node quiz/replay.js data/quiz-events/<code>.jsonl`.
 
-quizNS.on('join-quiz', (socket, data) => {
-  const { quizCode, playerId, playerName } = data;
-  
-  if (!quizCode || !playerId) {
-    console.error('[ERROR] join-quiz missing quizCode or playerId');
-    return;
-  }
-  
-  // Add socket to quiz room
-  socket.join(quizCode);
-  
-  const roomSize = socket.server.rooms.get(quizCode)?.size || 0;
-  console.log(`[QUIZ] ${playerName} (${playerId}) joined: ${quizCode} [Room Size: ${roomSize}]`);
-  
-  // Notify all in room that this player joined
-  quizNS.to(quizCode).emit('player-joined', {
-    quizCode,
-    playerId,
-    playerName,
-    timestamp: Date.now()
+const roomStore = config.store.type === 'memory'
+  ? createMemoryRoomStore()
+  : createFileRoomStore({
+    dir: config.store.dir,
+    onError: err => log.error(`Room store failed: ${err.message}`, { stack: err.stack })
   });
-});
-
-// ============================================
-// 2. AUTO-BROADCAST HANDLERS
-// ============================================
-// Each of these handlers receives an event from a client
-// and automatically broadcasts it to all other clients in the same room
-
-/**
- * Host joined event
- * Data: { quizCode, hostId }
- */
-quizNS.on('host-joined', (socket, data) => {
-  if (!data.quizCode) return;
-  const { quizCode, hostId } = data;
-  
-  // Add socket to quiz room
-  socket.join(quizCode);
-  
-  const roomSize = socket.server.rooms.get(quizCode)?.size || 0;
-  console.log(`[QUIZ] Host joined: ${quizCode} (${hostId}) [Room Size: ${roomSize}]`);
-  
-  // Broadcast to all in room
-  console.log(`[BROADCAST] host-joined → ${quizCode}`);
-  quizNS.to(quizCode).emit('host-joined', data);
-});
 
-/**
- * Player joined event
- * Data: { quizCode, playerId, playerName, timestamp }
- */
-quizNS.on('player-joined', (socket, data) => {
-  if (!data.quizCode) return;
-  console.log(`[BROADCAST] player-joined → ${data.quizCode}`);
-  quizNS.to(data.quizCode).emit('player-joined', data);
-});
-
-/**
- * Quiz started event
- * Data: { quizCode, questions, projectMode }
- */
-quizNS.on('quiz-started', (socket, data) => {
-  if (!data.quizCode) return;
-  console.log(`[BROADCAST] quiz-started → ${data.quizCode}`);
-  quizNS.to(data.quizCode).emit('quiz-started', data);
-});
-
-/**
- * Timer started event
- * Data: { quizCode, duration }
- */
-quizNS.on('timer-start', (socket, data) => {
-  if (!data.quizCode) return;
-  console.log(`[BROADCAST] timer-start → ${data.quizCode}`);
-  quizNS.to(data.quizCode).emit('timer-start', data);
-});
-
-/**
- * Next question event
- * Data: { quizCode, questionIndex }
- */
-quizNS.on('next-question', (socket, data) => {
-  if (!data.quizCode) return;
-  console.log(`[BROADCAST] next-question → ${data.quizCode}`);
-  quizNS.to(data.quizCode).emit('next-question', data);
-});
+const eventLog = config.store.type === 'memory'
+  ? createMemoryEventLog()
+  : createFileEventLog({
+    dir: config.store.eventLogDir,
+    onError: err => log.error(`Event log failed: ${err.message}`, { stack: err.stack })
+  });
 
-/**
- * Player answered event
- * Data: { quizCode, playerId, answerIndex }
- */
-quizNS.on('player-answered', (socket, data) => {
-  if (!data.quizCode) return;
-  console.log(`[BROADCAST] player-answered → ${data.quizCode}`);
-  quizNS.to(data.quizCode).emit('player-answered', data);
-});
+const { namespace, ...quizOptions } = config.quiz;
 
-/**
- * Skip question event
- * Data: { quizCode, questionIndex }
- */
-quizNS.on('skip-question', (socket, data) => {
-  if (!data.quizCode) return;
-  console.log(`[BROADCAST] skip-question → ${data.quizCode}`);
-  quizNS.to(data.quizCode).emit('skip-question', data);
+const quiz = mountQuiz(quizNS, {
+  ...quizOptions,
+  store: roomStore,
+  eventLog,
+  metrics,
+  auth: config.auth.secret ? config.auth : null,
+  logger: createLogger({ ...config.log, name: `quiz:${namespace}` })
 });
 
-/**
- * Show answer event
- * Data: { quizCode, questionIndex }
- */
-quizNS.on('show-answer', (socket, data) => {
-  if (!data.quizCode) return;
-  console.log(`[BROADCAST] show-answer → ${data.quizCode}`);
-  quizNS.to(data.quizCode).emit('show-answer', data);
-});
-
-/**
- * End quiz event
- * Data: { quizCode }
- */
-quizNS.on('end-quiz', (socket, data) => {
-  if (!data.quizCode) return;
-  console.log(`[BROADCAST] end-quiz → ${data.quizCode}`);
-  quizNS.to(data.quizCode).emit('end-quiz', data);
-});
-
-/**
- * Show results event
- * Data: { quizCode, results }
- */
-quizNS.on('show-results', (socket, data) => {
-  if (!data.quizCode) return;
-  console.log(`[BROADCAST] show-results → ${data.quizCode}`);
-  quizNS.to(data.quizCode).emit('show-results', data);
-});
+// ============================================
+// RATE LIMITS
+// ============================================
+// The quiz module throttles each socket per event (see
+// quiz/rate-limits.js); SmartSocket's own per-event limiter backs it up
+// with the same table. Either way the client gets `__rate-limited__`.
 
-/**
- * Player presence event
- * Data: { quizCode, playerId, playerName }
- */
-quizNS.on('player-present', (socket, data) => {
-  if (!data.quizCode) return;
-  console.log(`[BROADCAST] player-present → ${data.quizCode}`);
-  quizNS.to(data.quizCode).emit('player-present', data);
-});
+if (config.quiz.rateLimits) {
+  applyServerRateLimits(server, { aliases: EVENT_ALIASES });
+  server.on('rate-limit', (socket) => quiz.reportRateLimited(socket, SERVER_RETRY_AFTER_MS));
+}
 
 // ============================================
-// 3. DATA REQUESTS (respond to single socket)
+// ADMIN NAMESPACE
 // ============================================
+// Room listing, rosters, kick / mute, force-end and announcements for
+// operators (see quiz/admin.js). Only mounted when an admin key is set
+// (QUIZ_ADMIN_KEY); every admin action goes to the audit log. The audit
+// log is kept on disk even with QUIZ_STORE=memory; QUIZ_AUDIT_LOG=none
+// keeps it in memory only.
 
-/**
- * Get players request - send back to requester only
- */
-quizNS.on('get-players', (socket, data) => {
-  if (!data.quizCode) return;
-  const room = socket.server.rooms.get(data.quizCode);
-  const playerCount = room ? room.size : 0;
-  
-  console.log(`[DATA] players-list for ${data.quizCode}: ${playerCount} players`);
-  
-  socket.emit('players-list', {
-    quizCode: data.quizCode,
-    count: playerCount
+const auditLog = config.admin.auditLog
+  ? createFileAuditLog({
+    file: config.admin.auditLog,
+    onError: err => log.error(`Audit log failed: ${err.message}`, { stack: err.stack })
+  })
+  : createMemoryAuditLog();
+
+if (config.admin.key && !config.admin.auditLog) {
+  log.warn('Admin audit log is in memory only: set QUIZ_AUDIT_LOG to keep it');
+}
+
+if (config.admin.key) {
+  mountAdmin(server.namespace(config.admin.namespace), {
+    quiz,
+    adminKey: config.admin.key,
+    auditLog,
+    logger: createLogger({ ...config.log, name: `admin:${config.admin.namespace}` })
   });
-});
+} else {
+  log.info('Admin namespace disabled: set QUIZ_ADMIN_KEY to enable it');
+}
 
 // ============================================
-// 4. SERVER EVENTS
+// SERVER EVENTS
 // ============================================
 
 server.on('connect', (socket) => {
-  console.log(`[CONNECT] Socket: ${socket.id}`);
-  console.log(`[STATS] Total connections: ${server.sockets.size}`);
+  log.debug('Socket connected', { socket: socket.id, connections: server.sockets.size });
 });
 
 server.on('disconnect', (socket) => {
-  console.log(`[DISCONNECT] Socket: ${socket.id}`);
-  
-  // Clean up - leave all rooms
-  if (socket.rooms && socket.rooms.size > 0) {
-    socket.rooms.forEach(room => {
-      socket.leave(room);
-      const roomSize = socket.server.rooms.get(room)?.size || 0;
-      console.log(`[QUIT] Left room [${room}] - Room size: ${roomSize}`);
-    });
-  }
-  
-  console.log(`[STATS] Total connections: ${server.sockets.size}`);
+  log.debug('Socket disconnected', { socket: socket.id, connections: server.sockets.size });
 });
 
 server.on('error', (err) => {
-  console.error('[ERROR]', err.message);
-  console.error('[STACK]', err.stack);
+  log.error(err.message, { stack: err.stack });
 });
 
 // ============================================
 // START SERVER
 // ============================================
 
+function printBanner() {
+  const rows = [
+    '✅ Server started',
+    `📍 Address: ${config.server.host}`,
+    `🔌 Port: ${config.server.port}`,
+    `📡 Namespace: ${namespaceName}`,
+    `🔒 Secure: ${config.server.secure ? 'YES' : 'NO'}`,
+    `💾 Store: ${config.store.type}`,
+    `📈 Monitoring: ${config.server.monitoring ? `port ${config.server.monitoringPort}` : 'OFF'}`,
+    `🛡️  Admin: ${config.admin.key ? config.admin.namespace : 'OFF'}`,
+    `🔑 Join tokens: ${!config.auth.secret ? 'OFF' : config.auth.required ? 'REQUIRED' : 'OPTIONAL'}`,
+    '🔄 Auto-broadcast: ENABLED'
+  ];
+
+  console.log(`
+╔═══════════════════════════════════════════════╗
+║      SmartSocket - Quiz Auto-Broadcasting    ║
+╠═══════════════════════════════════════════════╣
+${rows.map(row => `║ ${row.padEnd(45)}║`).join('\n')}
+╚═══════════════════════════════════════════════╝
+`);
+}
+
+// The banner is only printed once the server is bound, and only for
+// people reading text logs
 server.listen(() => {
-  console.log(`\n✅ SmartSocket listening on port 8080`);
-  console.log(`📡 Registered namespaces: /, /quiz\n`);
+  ready = true;
+  if (log.format === 'text' && log.isLevelEnabled('info')) printBanner();
+  log.info('SmartSocket listening', {
+    host: config.server.host,
+    port: config.server.port,
+    namespaces: ['/', namespaceName, ...(config.admin.key ? [config.admin.namespace] : [])]
+  });
 });
 
+// Up before the socket server, so /readyz can say it is still starting
+if (monitoringServer) {
+  monitoringServer.on('error', err => log.error(`Monitoring server failed: ${err.message}`, { stack: err.stack }));
+  monitoringServer.listen(config.server.monitoringPort, config.server.host, () => {
+    log.info('Monitoring listening', { port: monitoringServer.address().port });
+  });
+}
+
+// ============================================
+// GRACEFUL SHUTDOWN
+// ============================================
+// On SIGTERM / SIGINT every room is told `server-restarting` and saved
+// before the server stops (see quiz/shutdown.js), bounded by
+// shutdown.timeoutMs. A second signal exits right away.
+
+let stopping = false;
+
+async function shutdown(signal) {
+  if (stopping) {
+    log.warn(`${signal} received again, exiting without draining`);
+    process.exit(1);
+  }
+  stopping = true;
+  ready = false;
+  log.info(`${signal} received, draining quiz rooms`, { timeoutMs: config.shutdown.timeoutMs });
+
+  try {
+    const { timedOut } = await quiz.shutdown({ reason: 'restart', ...config.shutdown });
+    await auditLog.flush();
+    server.stop();
+    if (monitoringServer) monitoringServer.close();
+    log.info('Server stopped');
+    process.exit(timedOut ? 1 : 0);
+  } catch (err) {
+    log.error(`Shutdown failed: ${err.message}`, { stack: err.stack });
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+export { quiz, config };
 export default server;
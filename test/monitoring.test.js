@@ -0,0 +1,56 @@
+/**
+ * Monitoring endpoints over real HTTP (quiz/monitoring.js)
+ *
+ *   node --test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMonitoringServer } from '../quiz/monitoring.js';
+import { createMetricsRegistry, CONTENT_TYPE } from '../quiz/metrics.js';
+
+let ready = false;
+let baseUrl;
+
+const metrics = createMetricsRegistry();
+metrics.counter('quiz_events_total', 'Quiz events received', ['namespace', 'event'])
+  .inc({ namespace: '/quiz', event: 'join-quiz' });
+
+const server = createMonitoringServer({ metrics, isReady: () => ready });
+
+before(() => new Promise((resolve) => {
+  server.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('GET /healthz answers 200 while the process is up', async () => {
+  const res = await fetch(`${baseUrl}/healthz`);
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).status, 'ok');
+});
+
+test('GET /readyz follows isReady()', async () => {
+  ready = false;
+  assert.equal((await fetch(`${baseUrl}/readyz`)).status, 503);
+
+  ready = true;
+  const res = await fetch(`${baseUrl}/readyz`);
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).status, 'ready');
+});
+
+test('GET /metrics serves the registry in Prometheus text format', async () => {
+  const res = await fetch(`${baseUrl}/metrics`);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), CONTENT_TYPE);
+  assert.match(await res.text(), /quiz_events_total\{namespace="\/quiz",event="join-quiz"\} 1/);
+});
+
+test('other paths and methods are refused', async () => {
+  assert.equal((await fetch(`${baseUrl}/nope`)).status, 404);
+  assert.equal((await fetch(`${baseUrl}/healthz`, { method: 'POST' })).status, 405);
+});
@@ -0,0 +1,47 @@
+/**
+ * Replaying a recorded game (quiz/replay.js)
+ *
+ *   node --test
+ *
+ * fixtures/quiz-game.jsonl is the event log of a three-question game:
+ * two players, a duplicate answer, and Alice dropping and resuming
+ * with the (redacted) resume token mid-quiz.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { replayEventLog } from '../quiz/replay.js';
+
+const entries = fs.readFileSync(new URL('./fixtures/quiz-game.jsonl', import.meta.url), 'utf8')
+  .split('\n')
+  .filter(Boolean)
+  .map(line => JSON.parse(line));
+
+const replay = replayEventLog(entries);
+const room = replay.rooms[0];
+
+test('replay: every event gets its recorded outcome', () => {
+  assert.deepEqual(replay.mismatches, []);
+});
+
+test('replay: rebuilds the finished room', () => {
+  assert.equal(replay.rooms.length, 1);
+  assert.equal(room.code, entries[0].quizCode);
+  assert.equal(room.state, 'finished');
+  assert.equal(room.questionIndex, 2);
+});
+
+test('replay: ends with the recorded scores', () => {
+  const scores = [...room.scores.values()].map(({ playerId, score }) => ({ playerId, score }));
+  assert.deepEqual(scores, [
+    { playerId: 'alice', score: 30 },
+    { playerId: 'bob', score: 20 }
+  ]);
+});
+
+test('replay: the resumed player keeps their roster entry', () => {
+  const alice = room.roster.get('alice');
+  assert.equal(alice.playerName, 'Alice');
+  assert.equal(alice.status, 'connected');
+});
@@ -0,0 +1,152 @@
+/**
+ * Scoring strategy edge cases (quiz/scoring.js)
+ *
+ *   node --test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_STRATEGY, SCORING_STRATEGIES, resolveScoring, scoreAnswer } from '../quiz/scoring.js';
+
+function score(config, context) {
+  const result = resolveScoring(config);
+  assert.equal(result.success, true, result.error);
+  return scoreAnswer(result.scoring, context);
+}
+
+// ============================================
+// FLAT
+// ============================================
+
+test('flat: full credit only', () => {
+  assert.equal(score('flat', { credit: 1 }), 10);
+  assert.equal(score('flat', { credit: 0.99 }), 0);
+  assert.equal(score('flat', { credit: 0 }), 0);
+  assert.equal(score({ strategy: 'flat', options: { points: 3 } }, { credit: 1 }), 3);
+});
+
+test('flat is the default strategy', () => {
+  assert.equal(DEFAULT_STRATEGY, 'flat');
+  assert.deepEqual(resolveScoring(undefined), resolveScoring('flat'));
+  assert.deepEqual(resolveScoring(null), resolveScoring('flat'));
+});
+
+// ============================================
+// SPEED
+// ============================================
+
+test('speed: decays linearly over the window', () => {
+  const windowMs = 10000;
+  assert.equal(score('speed', { credit: 1, responseMs: 0, windowMs }), 100);
+  assert.equal(score('speed', { credit: 1, responseMs: 5000, windowMs }), 75);
+  assert.equal(score('speed', { credit: 1, responseMs: 10000, windowMs }), 50);
+});
+
+test('speed: responseMs beyond the window scores minPoints', () => {
+  assert.equal(score('speed', { credit: 1, responseMs: 60000, windowMs: 10000 }), 50);
+});
+
+test('speed: negative or missing responseMs scores maxPoints', () => {
+  assert.equal(score('speed', { credit: 1, responseMs: -500, windowMs: 10000 }), 100);
+  assert.equal(score('speed', { credit: 1, windowMs: 10000 }), 100);
+});
+
+test('speed: zero, negative or missing window falls back to options.windowMs', () => {
+  for (const windowMs of [0, -10000, null, undefined]) {
+    assert.equal(score('speed', { credit: 1, responseMs: 15000, windowMs }), 75, `windowMs ${windowMs}`);
+  }
+});
+
+test('speed: no usable window at all scores maxPoints', () => {
+  assert.equal(score({ strategy: 'speed', options: { windowMs: 0 } }, { credit: 1, responseMs: 15000, windowMs: 0 }), 100);
+});
+
+test('speed: wrong or partly correct answers score nothing', () => {
+  assert.equal(score('speed', { credit: 0.5, responseMs: 0, windowMs: 10000 }), 0);
+  assert.equal(score('speed', { credit: 0, responseMs: 0, windowMs: 10000 }), 0);
+});
+
+// ============================================
+// STREAK
+// ============================================
+
+test('streak: multiplier grows by bonusPerStreak', () => {
+  assert.equal(score('streak', { credit: 1, streak: 1 }), 10);
+  assert.equal(score('streak', { credit: 1, streak: 2 }), 15);
+  assert.equal(score('streak', { credit: 1, streak: 3 }), 20);
+});
+
+test('streak: multiplier is capped at maxMultiplier', () => {
+  assert.equal(score('streak', { credit: 1, streak: 5 }), 30);
+  assert.equal(score('streak', { credit: 1, streak: 500 }), 30);
+  assert.equal(score({ strategy: 'streak', options: { maxMultiplier: 1 } }, { credit: 1, streak: 10 }), 10);
+});
+
+test('streak: zero, negative or missing streak counts as the first answer', () => {
+  for (const streak of [0, -3, undefined]) {
+    assert.equal(score('streak', { credit: 1, streak }), 10, `streak ${streak}`);
+  }
+});
+
+test('streak: wrong answers score nothing', () => {
+  assert.equal(score('streak', { credit: 0.5, streak: 4 }), 0);
+});
+
+// ============================================
+// PARTIAL
+// ============================================
+
+test('partial: points proportional to credit', () => {
+  assert.equal(score('partial', { credit: 1 }), 10);
+  assert.equal(score('partial', { credit: 0.5 }), 5);
+  assert.equal(score('partial', { credit: 0.25 }), 3);
+  assert.equal(score('partial', { credit: 0 }), 0);
+});
+
+test('partial: credit is clamped to 0..1', () => {
+  assert.equal(score('partial', { credit: 2 }), 10);
+  assert.equal(score('partial', { credit: -1 }), 0);
+  assert.equal(score('partial', {}), 0);
+});
+
+// ============================================
+// OPTIONS
+// ============================================
+
+test('resolveScoring: fills in defaults and applies overrides', () => {
+  assert.deepEqual(resolveScoring('speed'), {
+    success: true,
+    scoring: { strategy: 'speed', options: SCORING_STRATEGIES.speed.defaults }
+  });
+  assert.deepEqual(resolveScoring({ strategy: 'speed', options: { maxPoints: 1000 } }).scoring.options, {
+    ...SCORING_STRATEGIES.speed.defaults,
+    maxPoints: 1000
+  });
+});
+
+test('resolveScoring: rejects unknown strategies', () => {
+  for (const config of ['bogus', { strategy: 'bogus' }, {}, 'toString', { strategy: 'constructor' }, '__proto__']) {
+    const result = resolveScoring(config);
+    assert.equal(result.success, false);
+    assert.equal(result.code, 'INVALID_SCORING');
+  }
+});
+
+test('resolveScoring: rejects unknown options', () => {
+  const result = resolveScoring({ strategy: 'flat', options: { maxPoints: 5 } });
+  assert.equal(result.success, false);
+  assert.equal(result.code, 'INVALID_SCORING');
+  assert.match(result.error, /maxPoints/);
+
+  for (const key of ['constructor', 'toString']) {
+    assert.equal(resolveScoring({ strategy: 'flat', options: { [key]: 1 } }).success, false);
+  }
+});
+
+test('resolveScoring: rejects negative, non-finite and non-number option values', () => {
+  for (const points of [-1, NaN, Infinity, '10', null, true]) {
+    const result = resolveScoring({ strategy: 'flat', options: { points } });
+    assert.equal(result.success, false, `points ${points}`);
+    assert.equal(result.code, 'INVALID_SCORING');
+  }
+});